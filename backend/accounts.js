@@ -0,0 +1,161 @@
+import crypto from "crypto";
+import * as db from "./database.js";
+import config from "./config.js";
+import { ConflictError, ValidationError, UnauthorizedError } from "./errors.js";
+
+// scrypt cost parameters; stored with each hash so they can be raised later
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+// Booking references avoid letters and digits that are easy to mix up (0/O, 1/I)
+const REFERENCE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const REFERENCE_LENGTH = 6;
+
+/**
+ * Hash a password as "scrypt$N$r$p$salt$hash"
+ */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH, SCRYPT);
+  return ["scrypt", SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString("base64url"), hash.toString("base64url")].join("$");
+}
+
+/**
+ * Check a password against a stored hash
+ */
+export function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const wanted = Buffer.from(hash, "base64url");
+  const given = crypto.scryptSync(password, Buffer.from(salt, "base64url"), wanted.length, {
+    N: Number(N), r: Number(r), p: Number(p),
+  });
+  return crypto.timingSafeEqual(given, wanted);
+}
+
+/**
+ * Session tokens are handed to the client once; only their SHA-256 is stored
+ */
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+export function newSessionToken() {
+  const token = crypto.randomBytes(32).toString("base64url");
+  return { token, tokenHash: hashToken(token) };
+}
+
+/**
+ * Random booking reference such as "K7QX2M", given to the booker to look the trip up as a guest
+ */
+export function newBookingReference() {
+  return Array.from(crypto.randomBytes(REFERENCE_LENGTH), (b) => REFERENCE_ALPHABET[b % REFERENCE_ALPHABET.length]).join("");
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * AccountService class registers passengers, signs them in and resolves their session tokens
+ */
+export class AccountService {
+  #dbConnection;
+  #settings;
+  #dummyHash;
+
+  constructor(settings = config.accounts || {}, database = db) {
+    this.#dbConnection = database;
+    this.#settings = { sessionHours: 720, minPasswordLength: 8, ...settings };
+    // Compared against when the email is unknown, so a login takes as long either way
+    this.#dummyHash = hashPassword(crypto.randomBytes(16).toString("hex"));
+  }
+
+  #publicUser(user) {
+    return { userId: user.user_id, email: user.email, name: user.name, createdAt: user.created_at };
+  }
+
+  #startSession(user) {
+    const { token, tokenHash } = newSessionToken();
+    const expiresAt = new Date(Date.now() + this.#settings.sessionHours * 3600000).toISOString();
+    this.#dbConnection.createSession(user.user_id, tokenHash, expiresAt);
+    return { token, expiresAt, user: this.#publicUser(user) };
+  }
+
+  register({ email, password, name } = {}) {
+    const cleanEmail = (email || "").toString().trim().toLowerCase();
+    const errors = [];
+    if (!EMAIL_PATTERN.test(cleanEmail)) {
+      errors.push({ field: "email", message: "A valid email address is required." });
+    }
+    if (typeof password !== "string" || password.length < this.#settings.minPasswordLength) {
+      errors.push({ field: "password", message: `Password must be at least ${this.#settings.minPasswordLength} characters.` });
+    }
+    if (errors.length) {
+      throw new ValidationError("Account details are invalid.", errors);
+    }
+    if (this.#dbConnection.getUserByEmail(cleanEmail)) {
+      throw new ConflictError("An account with this email already exists.");
+    }
+
+    this.#dbConnection.createUser({
+      email: cleanEmail,
+      passwordHash: hashPassword(password),
+      name: (name || "").toString().trim(),
+    });
+    return this.#startSession(this.#dbConnection.getUserByEmail(cleanEmail));
+  }
+
+  login({ email, password } = {}) {
+    const user = this.#dbConnection.getUserByEmail((email || "").toString().trim().toLowerCase());
+    const matches = verifyPassword((password ?? "").toString(), user?.password_hash ?? this.#dummyHash);
+    if (!user || !matches) {
+      throw new UnauthorizedError("Wrong email or password.");
+    }
+
+    this.#dbConnection.deleteExpiredSessions();
+    return this.#startSession(user);
+  }
+
+  logout(token) {
+    this.#dbConnection.deleteSession(hashToken(token));
+  }
+
+  /**
+   * The account behind a session token, or null when the token is unknown or expired
+   */
+  authenticate(token) {
+    const user = token ? this.#dbConnection.getUserBySession(hashToken(token)) : null;
+    return user ? this.#publicUser(user) : null;
+  }
+}
+
+/**
+ * RateLimiter class counts requests per client over a fixed window
+ */
+export class RateLimiter {
+  #maxAttempts;
+  #windowMs;
+  #hits = new Map();
+
+  constructor({ maxAttempts = 20, windowMinutes = 15 } = {}) {
+    this.#maxAttempts = maxAttempts;
+    this.#windowMs = windowMinutes * 60000;
+  }
+
+  /**
+   * Count a request; returns the seconds to wait when the client is over the limit, 0 otherwise
+   */
+  hit(key, now = Date.now()) {
+    let entry = this.#hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + this.#windowMs };
+      this.#hits.set(key, entry);
+    }
+    entry.count++;
+
+    if (this.#hits.size > 10000) {
+      for (const [k, e] of this.#hits) if (e.resetAt <= now) this.#hits.delete(k);
+    }
+    return entry.count > this.#maxAttempts ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+  }
+}
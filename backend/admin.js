@@ -0,0 +1,121 @@
+import * as db from "./database.js";
+import { ConflictError, NotFoundError, ValidationError } from "./errors.js";
+import { SCHEDULE_FIELDS, changedRouteFields } from "./timetable.js";
+
+/**
+ * RouteAdminService class manages the timetable at runtime and keeps the search index in sync
+ */
+export class RouteAdminService {
+  #dbConnection;
+  #routeSearch;
+  #validator;
+  #importer;
+  #gtfsImporter;
+
+  constructor(routeSearch, validator, importer, gtfsImporter, database = db) {
+    this.#dbConnection = database;
+    this.#routeSearch = routeSearch;
+    this.#validator = validator;
+    this.#importer = importer;
+    this.#gtfsImporter = gtfsImporter;
+  }
+
+  listRoutes({ status = "", from = "", to = "" } = {}) {
+    if (status && !["active", "retired"].includes(status)) {
+      throw new Error("Invalid status. Expected active or retired.");
+    }
+    return this.#dbConnection.listRoutes({ status, from, to });
+  }
+
+  createRoute(input) {
+    const { route, errors } = this.#validator.validate(input);
+    if (errors.length) throw new ValidationError("Invalid route.", errors);
+    if (this.#dbConnection.getRouteById(route.routeId)) {
+      throw new ConflictError(`Route ${route.routeId} already exists.`);
+    }
+
+    this.#dbConnection.insertRoute(route);
+    this.#refresh();
+    return this.#dbConnection.getRouteById(route.routeId);
+  }
+
+  updateRoute(routeId, input = {}) {
+    const existing = this.#getRoute(routeId);
+    if (existing.status === "retired") {
+      throw new ConflictError(`Route ${routeId} is retired and can no longer be changed.`);
+    }
+
+    const { route, errors } = this.#validator.validate({
+      ...existing,
+      ...input,
+      routeId: existing.routeId,
+      price: { ...existing.price, ...input.price },
+      capacity: { ...existing.capacity, ...input.capacity },
+    });
+    if (errors.length) throw new ValidationError("Invalid route.", errors);
+
+    // Booked trips keep pointing at this route, so their timetable must not move under them
+    const scheduleChanged = changedRouteFields(existing, route).some((field) => SCHEDULE_FIELDS.includes(field));
+    if (scheduleChanged && this.#dbConnection.isRouteReferenced(routeId)) {
+      throw new ConflictError(`Route ${routeId} is used by booked trips. Retire it and create a new route to change its timetable.`);
+    }
+
+    this.#dbConnection.updateRoute(route);
+    this.#refresh();
+    return this.#dbConnection.getRouteById(routeId);
+  }
+
+  retireRoute(routeId) {
+    this.#getRoute(routeId);
+    this.#dbConnection.retireRoute(routeId);
+    this.#refresh();
+    return this.#dbConnection.getRouteById(routeId);
+  }
+
+  deleteRoute(routeId) {
+    this.#getRoute(routeId);
+    if (this.#dbConnection.isRouteReferenced(routeId)) {
+      throw new ConflictError(`Route ${routeId} is used by booked trips. Retire it instead.`);
+    }
+    this.#dbConnection.deleteRoute(routeId);
+    this.#refresh();
+  }
+
+  /**
+   * Upsert a CSV timetable by route ID; a dry run only reports the differences
+   */
+  async importTimetable(content, options = {}) {
+    if (!content || !content.trim()) throw new Error("The timetable CSV is empty.");
+    const entries = await this.#importer.readText(content);
+    const report = this.#importer.run(entries, options);
+    if (report.applied) this.#refresh();
+    return report;
+  }
+
+  /**
+   * Upsert the routes of a zipped GTFS feed, together with its station coordinates
+   */
+  async importGtfs(zipBuffer, options = {}) {
+    if (!zipBuffer?.length) throw new Error("The GTFS feed is empty.");
+    const { entries, stations } = await this.#gtfsImporter.readFeed(zipBuffer);
+    const report = this.#dbConnection.runInTransaction(() => {
+      const result = this.#importer.run(entries, options);
+      if (result.applied) this.#gtfsImporter.saveStations(stations);
+      return result;
+    });
+    if (report.applied) this.#refresh();
+    return report;
+  }
+
+  #getRoute(routeId) {
+    const route = this.#dbConnection.getRouteById(routeId);
+    if (!route) throw new NotFoundError(`Route ${routeId} not found.`);
+    return route;
+  }
+
+  // Rebuild the in-memory search index so changes apply without a restart
+  #refresh() {
+    this.#dbConnection.syncStations();
+    this.#routeSearch.loadRoutesFromDatabase();
+  }
+}
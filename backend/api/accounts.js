@@ -0,0 +1,33 @@
+import { sendError } from "../errors.js";
+
+/**
+ * Account API: register, sign in and out, and the signed-in account
+ */
+export function accountRoutes(app, { accountService, guards }) {
+  const { requireUser } = guards;
+
+  app.post("/api/auth/register", (req, res) => {
+    try {
+      res.status(201).json(accountService.register(req.body || {}));
+    } catch (err) {
+      sendError(res, err, "Failed to create account.");
+    }
+  });
+
+  app.post("/api/auth/login", (req, res) => {
+    try {
+      res.json(accountService.login(req.body || {}));
+    } catch (err) {
+      sendError(res, err, "Failed to sign in.");
+    }
+  });
+
+  app.post("/api/auth/logout", requireUser, (req, res) => {
+    accountService.logout(req.sessionToken);
+    res.json({ ok: true });
+  });
+
+  app.get("/api/me", requireUser, (req, res) => {
+    res.json({ user: req.user });
+  });
+}
@@ -0,0 +1,85 @@
+import express from "express";
+import { sendError } from "../errors.js";
+
+const ZIP_TYPES = ["application/zip", "application/x-zip-compressed"];
+
+/**
+ * Admin API: timetable changes, imports and the GTFS export
+ */
+export function adminRoutes(app, { routeAdminService, gtfsExporter, guards }) {
+  const { requireAdmin } = guards;
+
+  app.get("/api/admin/routes", requireAdmin, (req, res) => {
+    try {
+      const routes = routeAdminService.listRoutes({
+        status: (req.query.status || "").toString(),
+        from: (req.query.from || "").toString().trim(),
+        to: (req.query.to || "").toString().trim(),
+      });
+      res.json({ routes, count: routes.length });
+    } catch (err) {
+      sendError(res, err, "Failed to list routes.");
+    }
+  });
+
+  app.post("/api/admin/routes", requireAdmin, (req, res) => {
+    try {
+      res.status(201).json({ ok: true, route: routeAdminService.createRoute(req.body || {}) });
+    } catch (err) {
+      sendError(res, err, "Failed to create route.");
+    }
+  });
+
+  app.put("/api/admin/routes/:routeId", requireAdmin, (req, res) => {
+    try {
+      res.json({ ok: true, route: routeAdminService.updateRoute(req.params.routeId, req.body || {}) });
+    } catch (err) {
+      sendError(res, err, "Failed to update route.");
+    }
+  });
+
+  app.post("/api/admin/routes/:routeId/retire", requireAdmin, (req, res) => {
+    try {
+      res.json({ ok: true, route: routeAdminService.retireRoute(req.params.routeId) });
+    } catch (err) {
+      sendError(res, err, "Failed to retire route.");
+    }
+  });
+
+  app.delete("/api/admin/routes/:routeId", requireAdmin, (req, res) => {
+    try {
+      routeAdminService.deleteRoute(req.params.routeId);
+      res.json({ ok: true, routeId: req.params.routeId });
+    } catch (err) {
+      sendError(res, err, "Failed to delete route.");
+    }
+  });
+
+  // Flat timetable CSV as text/csv, or a zipped GTFS feed as application/zip
+  app.post(
+    "/api/admin/import",
+    requireAdmin,
+    express.text({ type: ["text/csv", "text/plain"], limit: "10mb" }),
+    express.raw({ type: ZIP_TYPES, limit: "50mb" }),
+    async (req, res) => {
+      try {
+        const flag = (name) => ["1", "true"].includes((req.query[name] || "").toString().toLowerCase());
+        const options = { dryRun: flag("dryRun"), keepMissing: flag("keepMissing") };
+        const report = Buffer.isBuffer(req.body)
+          ? await routeAdminService.importGtfs(req.body, options)
+          : await routeAdminService.importTimetable(typeof req.body === "string" ? req.body : "", options);
+        res.json(report);
+      } catch (err) {
+        sendError(res, err, "Failed to import timetable.");
+      }
+    }
+  );
+
+  app.get("/api/admin/export/gtfs", requireAdmin, (_req, res) => {
+    try {
+      res.attachment("gtfs.zip").type("application/zip").send(gtfsExporter.toZip());
+    } catch (err) {
+      sendError(res, err, "Failed to export GTFS feed.");
+    }
+  });
+}
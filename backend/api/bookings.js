@@ -0,0 +1,130 @@
+import { sendError } from "../errors.js";
+import { tripAccess } from "../middleware.js";
+
+/**
+ * The itineraries to book or price: "journeys" for a round or multi-city trip, or a single "connection"
+ */
+function requestedJourneys({ connection, journeys } = {}) {
+  return journeys !== undefined ? journeys : connection ? [connection] : null;
+}
+
+/**
+ * Booking API: fare quotes, booking, and looking up, confirming, cancelling and changing trips
+ */
+export function bookingRoutes(app, { bookingService, guards }) {
+  const { authenticate, requireUser, limitGuests, idempotent } = guards;
+
+  app.post("/api/fares/quote", (req, res) => {
+    const { travellers, seatClass } = req.body || {};
+
+    try {
+      res.json(bookingService.quote(requestedJourneys(req.body), travellers, seatClass));
+    } catch (err) {
+      sendError(res, err, "Failed to quote fares.");
+    }
+  });
+
+  app.post("/api/book", authenticate, idempotent, (req, res) => {
+    const { travellers, seatClass, hold } = req.body || {};
+
+    try {
+      const { tripId, bookingReference, tripType, status, holdExpiresAt, reservations, total, currency } = bookingService.createBooking(
+        requestedJourneys(req.body),
+        travellers,
+        seatClass,
+        req.user?.userId ?? null,
+        { hold: hold === true }
+      );
+
+      res.json({
+        ok: true,
+        tripId,
+        bookingReference,
+        tripType,
+        status,
+        holdExpiresAt,
+        reservationsCount: reservations.length,
+        reservations,
+        total,
+        currency
+      });
+    } catch (err) {
+      console.error("Booking error:", err);
+      sendError(res, err, "Failed to create booking.");
+    }
+  });
+
+  app.get("/api/me/trips", requireUser, (req, res) => {
+    try {
+      const { currentTrips, pastTrips } = bookingService.getAccountTrips(req.user.userId);
+      res.json({ currentTrips, pastTrips, trips: [...currentTrips, ...pastTrips] });
+    } catch (err) {
+      console.error("Error fetching trips:", err);
+      sendError(res, err, "Failed to retrieve trips.");
+    }
+  });
+
+  // Guest lookup: a traveller's last name and ID number plus the booking reference
+  app.get("/api/trips", authenticate, limitGuests, (req, res) => {
+    try {
+      const { currentTrips, pastTrips } = bookingService.getGuestTrips(tripAccess(req));
+
+      res.json({
+        currentTrips,
+        pastTrips,
+        trips: [...currentTrips, ...pastTrips]
+      });
+    } catch (err) {
+      console.error("Error fetching trips:", err);
+      sendError(res, err, "Failed to retrieve trips.");
+    }
+  });
+
+  app.post("/api/trips/:tripId/confirm", authenticate, limitGuests, (req, res) => {
+    try {
+      res.json({ ok: true, ...bookingService.confirmTrip(req.params.tripId, tripAccess(req, req.body)) });
+    } catch (err) {
+      console.error("Confirmation error:", err);
+      sendError(res, err, "Failed to confirm trip.");
+    }
+  });
+
+  app.get("/api/trips/:tripId/history", authenticate, limitGuests, (req, res) => {
+    try {
+      res.json(bookingService.getTripHistory(req.params.tripId, tripAccess(req)));
+    } catch (err) {
+      sendError(res, err, "Failed to retrieve trip history.");
+    }
+  });
+
+  app.delete("/api/trips/:tripId", authenticate, limitGuests, (req, res) => {
+    try {
+      res.json({ ok: true, ...bookingService.cancelTrip(req.params.tripId, tripAccess(req)) });
+    } catch (err) {
+      console.error("Cancellation error:", err);
+      sendError(res, err, "Failed to cancel trip.");
+    }
+  });
+
+  app.delete("/api/trips/:tripId/reservations/:reservationId", authenticate, limitGuests, (req, res) => {
+    try {
+      const result = bookingService.cancelReservation(req.params.tripId, req.params.reservationId, tripAccess(req));
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      console.error("Cancellation error:", err);
+      sendError(res, err, "Failed to cancel reservation.");
+    }
+  });
+
+  app.put("/api/trips/:tripId", authenticate, limitGuests, (req, res) => {
+    const { connection, journey = 1 } = req.body || {};
+
+    try {
+      const result = bookingService.changeTrip(req.params.tripId, connection, tripAccess(req, req.body), journey);
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      console.error("Trip change error:", err);
+      sendError(res, err, "Failed to change trip.");
+    }
+  });
+}
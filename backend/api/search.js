@@ -0,0 +1,278 @@
+import crypto from "crypto";
+import { sendError } from "../errors.js";
+import { parseTravelDate } from "../dates.js";
+import { MAX_JOURNEYS, DEFAULT_MAX_TRANSFERS, MAX_TRANSFERS_LIMIT, parseSearchFilters } from "../search.js";
+
+// Page sizes, search effort and cache size, overridden by the "search" settings
+export const DEFAULT_SEARCH_LIMITS = { defaultLimit: 20, maxLimit: 100, maxExpansions: 50000, cacheSize: 500 };
+
+const SORT_OPTIONS = ["duration", "price", "transfers", "depart"];
+
+/**
+ * Cursors carry the offset of the next page and a fingerprint of the query they belong to
+ */
+function searchFingerprint(query) {
+  const { cursor, limit, ...rest } = query;
+  const canonical = JSON.stringify(Object.keys(rest).sort().map((key) => [key, rest[key]]));
+  return crypto.createHash("sha256").update(canonical).digest("base64url").slice(0, 16);
+}
+
+function encodeCursor(offset, query) {
+  return Buffer.from(JSON.stringify({ o: offset, q: searchFingerprint(query) })).toString("base64url");
+}
+
+function decodeCursor(cursor, query) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    decoded = null;
+  }
+  if (!decoded || !Number.isInteger(decoded.o) || decoded.o < 0) {
+    throw new Error("Invalid cursor.");
+  }
+  if (decoded.q !== searchFingerprint(query)) {
+    throw new Error("Cursor belongs to a different search. Start again without a cursor.");
+  }
+  return decoded.o;
+}
+
+/**
+ * Read the options every search shares from the query string (sorting, transfers, page size,
+ * filters and layover overrides), throwing on values that do not parse
+ */
+function parseSearchOptions(query, limits, knownTrainTypes) {
+  const { sort = "duration", maxTransfers = DEFAULT_MAX_TRANSFERS, include = "" } = query;
+  const transfers = Number(maxTransfers);
+  if (!Number.isInteger(transfers) || transfers < 0 || transfers > MAX_TRANSFERS_LIMIT) {
+    throw new Error(`Invalid maxTransfers. Expected an integer from 0 to ${MAX_TRANSFERS_LIMIT}.`);
+  }
+  if (include && include !== "all") {
+    throw new Error("Invalid include. Expected \"all\" or nothing.");
+  }
+  if (!SORT_OPTIONS.includes(sort)) {
+    throw new Error(`Invalid sort. Expected one of: ${SORT_OPTIONS.join(", ")}.`);
+  }
+  const limit = query.limit === undefined || query.limit === "" ? limits.defaultLimit : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > limits.maxLimit) {
+    throw new Error(`Invalid limit. Expected an integer from 1 to ${limits.maxLimit}.`);
+  }
+  const filters = parseSearchFilters(query, knownTrainTypes);
+  const policyOverrides = {};
+  for (const name of ["minTransfer", "maxLayover"]) {
+    if (query[name] === undefined || query[name] === "") continue;
+    const minutes = Number(query[name]);
+    if (!Number.isInteger(minutes) || minutes < 0) {
+      throw new Error(`Invalid ${name}. Expected a whole number of minutes.`);
+    }
+    policyOverrides[name] = minutes;
+  }
+  return { sort, transfers, include, limit, filters, policyOverrides };
+}
+
+// Search parameters that take one value; avoid, trainType, excludeTrainType, stops and dates may repeat
+const SINGLE_VALUE_PARAMS = [
+  "from", "to", "via", "day", "date", "returnDate", "cursor", "sort", "include", "limit", "maxTransfers", "class",
+  "departAfter", "arriveBefore", "maxPrice", "viaStopover", "maxDuration", "minTransfer", "maxLayover",
+];
+
+// The first single-value parameter sent as an array or object (?from[]=x, ?from=a&from=b), if any
+function nonStringParam(query) {
+  return SINGLE_VALUE_PARAMS.find((name) => query[name] !== undefined && typeof query[name] !== "string");
+}
+
+/**
+ * Resolve typed station names ({ field: name }) to stations. Ambiguous or unknown names get a
+ * disambiguation answer rather than mixed results, and null is returned.
+ */
+function resolveStations(res, typed, stationDirectory) {
+  const stations = Object.fromEntries(Object.entries(typed).map(([field, q]) => [field, stationDirectory.resolve(q)]));
+  const unresolved = Object.entries(stations).filter(([, result]) => result.status !== "resolved");
+  if (!unresolved.length) return stations;
+
+  const ambiguous = unresolved.some(([, result]) => result.status === "ambiguous");
+  res.status(ambiguous ? 300 : 404).json({
+    error: unresolved.map(([field, result]) => result.status === "ambiguous"
+      ? `"${typed[field]}" matches several stations.`
+      : `No station matches "${typed[field]}".`).join(" "),
+    disambiguation: Object.fromEntries(unresolved.map(([field, result]) => [field, result.candidates])),
+  });
+  return null;
+}
+
+// Avoided stations, comma-separated or repeated; each is its own station field, "avoid:<what was typed>"
+function avoidedNames(query) {
+  return [].concat(query.avoid ?? []).flatMap((v) => String(v).split(",")).map((v) => v.trim()).filter(Boolean);
+}
+
+/**
+ * Search every journey of a round or multi-city trip. stops lists the station fields in travel
+ * order (a field can repeat, as "from" does for a round trip) and dates has one date per journey.
+ * Each journey gets the first page of its own results; /api/search pages through one journey.
+ */
+function searchJourneys({ routeSearch, stationDirectory, limits }, req, res, typed, stops, dates) {
+  let options;
+  try {
+    options = parseSearchOptions(req.query, limits, routeSearch.trainTypes());
+  } catch (err) {
+    return sendError(res, err, "Invalid search parameters.");
+  }
+  const { sort, transfers, include, limit, filters, policyOverrides } = options;
+  if (req.query.via) {
+    return res.status(400).json({ error: "via is only supported when searching a single journey." });
+  }
+  if (dates.some((date) => !parseTravelDate(date))) {
+    return res.status(400).json({ error: "Invalid date. Every journey needs a date as YYYY-MM-DD." });
+  }
+  if (dates.some((date, i) => i > 0 && date < dates[i - 1])) {
+    return res.status(400).json({ error: "Each journey must be on or after the date of the one before." });
+  }
+
+  const avoidNames = avoidedNames(req.query);
+  for (const name of avoidNames) typed[`avoid:${name}`] = name;
+  const stations = resolveStations(res, typed, stationDirectory);
+  if (!stations) return;
+
+  const cities = stops.map((field) => stations[field].city);
+  if (cities.some((city, i) => i > 0 && city === cities[i - 1])) {
+    return res.status(400).json({ error: "Each journey must go to a different station than it starts from." });
+  }
+  const avoid = [...new Set(avoidNames.map((name) => stations[`avoid:${name}`].city))];
+  if (avoid.some((city) => cities.includes(city))) {
+    return res.status(400).json({ error: "avoid cannot include a station the trip stops at." });
+  }
+  if (avoid.length) filters.avoid = avoid;
+
+  const journeys = dates.map((date, i) => {
+    const { itineraries, total, truncated } = routeSearch.search(cities[i], cities[i + 1], "", sort, date, {
+      maxTransfers: transfers, include, ...policyOverrides, filters,
+      limit, maxExpansions: limits.maxExpansions,
+    });
+    return { journey: i + 1, from: cities[i], to: cities[i + 1], travelDate: date, itineraries, total, truncated };
+  });
+  const isReturn = journeys.length === 2 && cities[0] === cities[2];
+  res.json({
+    tripType: isReturn ? "round-trip" : "multi-city",
+    ...(avoid.length ? { avoid } : {}),
+    journeys,
+    limit,
+  });
+}
+
+/**
+ * Search API: one journey at a time, round and multi-city trips, train types and station suggestions
+ */
+export function searchRoutes(app, search) {
+  const { routeSearch, stationDirectory, limits } = search;
+
+  app.get("/api/search", (req, res) => {
+    const repeated = nonStringParam(req.query);
+    if (repeated) {
+      return res.status(400).json({ error: `Invalid ${repeated}. Expected a single value.` });
+    }
+    const { from = "", to = "", day = "", date = "" } = req.query;
+    if (date && !parseTravelDate(date)) {
+      return res.status(400).json({ error: "Invalid date. Expected YYYY-MM-DD." });
+    }
+    let options;
+    let offset = 0;
+    try {
+      options = parseSearchOptions(req.query, limits, routeSearch.trainTypes());
+      if (req.query.cursor) offset = decodeCursor(req.query.cursor, req.query);
+    } catch (err) {
+      return sendError(res, err, "Invalid search parameters.");
+    }
+    const { sort, transfers, include, limit, filters, policyOverrides } = options;
+    if (!from.trim() || !to.trim()) {
+      return res.status(400).json({ error: "Both from and to are required." });
+    }
+
+    const via = (req.query.via || "").toString().trim();
+    const avoidNames = avoidedNames(req.query);
+    const typed = { from, to, ...(via ? { via } : {}) };
+    for (const name of avoidNames) typed[`avoid:${name}`] = name;
+    const stations = resolveStations(res, typed, stationDirectory);
+    if (!stations) return;
+
+    const ends = [stations.from.city, stations.to.city];
+    const avoid = [...new Set(avoidNames.map((name) => stations[`avoid:${name}`].city))];
+    if (via && ends.includes(stations.via.city)) {
+      return res.status(400).json({ error: "via must be a station other than from and to." });
+    }
+    if (avoid.some((city) => ends.includes(city) || city === stations.via?.city)) {
+      return res.status(400).json({ error: "avoid cannot include the from, to or via station." });
+    }
+    if (via) filters.via = stations.via.city;
+    if (avoid.length) filters.avoid = avoid;
+
+    const { itineraries, total, truncated } = routeSearch.search(stations.from.city, stations.to.city, day, sort, date, {
+      maxTransfers: transfers, include, ...policyOverrides, filters,
+      offset, limit, maxExpansions: limits.maxExpansions,
+    });
+    const nextOffset = offset + itineraries.length;
+    res.json({
+      from: stations.from.city,
+      to: stations.to.city,
+      ...(via ? { via: stations.via.city } : {}),
+      ...(avoid.length ? { avoid } : {}),
+      itineraries,
+      total,
+      limit,
+      nextCursor: nextOffset < total ? encodeCursor(nextOffset, req.query) : null,
+      truncated,
+    });
+  });
+
+  // Round trip: from -> to on date, back to from on returnDate
+  app.get("/api/search/round-trip", (req, res) => {
+    const repeated = nonStringParam(req.query);
+    if (repeated) {
+      return res.status(400).json({ error: `Invalid ${repeated}. Expected a single value.` });
+    }
+    const { from = "", to = "", date = "", returnDate = "" } = req.query;
+    if (!from.trim() || !to.trim()) {
+      return res.status(400).json({ error: "Both from and to are required." });
+    }
+    if (!date || !returnDate) {
+      return res.status(400).json({ error: "Both date and returnDate are required." });
+    }
+    searchJourneys(search, req, res, { from, to }, ["from", "to", "from"], [date, returnDate]);
+  });
+
+  // Multi-city: stops=A,B,C,A with dates=d1,d2,d3 (one date per journey)
+  app.get("/api/search/multi-city", (req, res) => {
+    const repeated = nonStringParam(req.query);
+    if (repeated) {
+      return res.status(400).json({ error: `Invalid ${repeated}. Expected a single value.` });
+    }
+    const split = (value) => [].concat(value ?? []).flatMap((v) => String(v).split(",")).map((v) => v.trim()).filter(Boolean);
+    const stops = split(req.query.stops);
+    const dates = split(req.query.dates);
+    if (stops.length < 3 || stops.length > MAX_JOURNEYS + 1) {
+      return res.status(400).json({ error: `Invalid stops. Expected 3 to ${MAX_JOURNEYS + 1} stations, comma-separated.` });
+    }
+    if (dates.length !== stops.length - 1) {
+      return res.status(400).json({ error: `Expected ${stops.length - 1} dates, one for each journey.` });
+    }
+    const typed = Object.fromEntries(stops.map((name, i) => [`stop:${i + 1}`, name]));
+    searchJourneys(search, req, res, typed, Object.keys(typed), dates);
+  });
+
+  app.get("/api/train-types", (_req, res) => {
+    res.json({ trainTypes: routeSearch.trainTypes() });
+  });
+
+  app.get("/api/cities", (req, res) => {
+    const limit = Number(req.query.limit ?? 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({ error: "Invalid limit. Expected an integer from 1 to 50." });
+    }
+    res.json({ cities: stationDirectory.suggest((req.query.q || "").toString(), limit) });
+  });
+
+  app.get("/api/debug/echo", (req, res) => {
+    res.json({
+      received: req.query
+    });
+  });
+}
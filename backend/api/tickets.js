@@ -0,0 +1,30 @@
+import { sendError } from "../errors.js";
+import { tripAccess } from "../middleware.js";
+
+/**
+ * Ticket API: printable tickets for travellers and checks by on-board staff
+ */
+export function ticketRoutes(app, { ticketService, guards }) {
+  const { authenticate, limitGuests, requireStaff } = guards;
+
+  app.get("/api/tickets/:ticketId", authenticate, limitGuests, async (req, res) => {
+    try {
+      const html = await ticketService.renderTicket(req.params.ticketId, tripAccess(req));
+      if (req.query.download === "true") res.attachment(`ticket-${req.params.ticketId}.html`);
+      res.type("html").send(html);
+    } catch (err) {
+      console.error("Ticket error:", err);
+      sendError(res, err, "Failed to render ticket.");
+    }
+  });
+
+  app.post("/api/tickets/verify", requireStaff, (req, res) => {
+    const { code, segment, routeId } = req.body || {};
+
+    try {
+      res.json(ticketService.verify(code, { segment, routeId }));
+    } catch (err) {
+      sendError(res, err, "Failed to verify ticket.");
+    }
+  });
+}
@@ -0,0 +1,145 @@
+import express from "express";
+import cors from "cors";
+import path from "path";
+import { fileURLToPath } from "url";
+import * as db from "./database.js";
+import config from "./config.js";
+import { CSVDataProcessor, RouteValidator, TimetableImporter, DataLoader } from "./timetable.js";
+import { GtfsImporter, GtfsExporter } from "./gtfs.js";
+import { TicketSigner, TicketService } from "./tickets.js";
+import { AccountService, RateLimiter } from "./accounts.js";
+import { TransferPolicy, StationDirectory, RouteSearch } from "./search.js";
+import { RefundPolicy, FareEngine } from "./fares.js";
+import { BookingService, startBookingSweep } from "./bookings.js";
+import { RouteAdminService } from "./admin.js";
+import { adminOnly, staffOnly, sessionGuards, guestLimit, idempotency } from "./middleware.js";
+import { DEFAULT_SEARCH_LIMITS, searchRoutes } from "./api/search.js";
+import { accountRoutes } from "./api/accounts.js";
+import { bookingRoutes } from "./api/bookings.js";
+import { ticketRoutes } from "./api/tickets.js";
+import { adminRoutes } from "./api/admin.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Bundled timetable, station names, ticket key and frontend, used unless createApp is given others
+const DEFAULT_PATHS = {
+  csvPath: path.join(__dirname, "data", "eu_rail_network.csv"),
+  aliasPath: path.join(__dirname, "data", "station_aliases.json"),
+  coordinatesPath: path.join(__dirname, "data", "station_coordinates.json"),
+  ticketKeyFile: path.join(__dirname, "data", "ticket_signing.key"),
+  frontendDir: path.join(__dirname, "..", "frontend"),
+};
+
+/**
+ * Build the backend without listening: open the database at dbPath (":memory:" for a throwaway one),
+ * fill it from csvPath when it has no routes, and register the API on a new Express app.
+ * Any section of config.json (transferPolicy, search, fares, refunds, bookings, accounts, gtfs) can be
+ * passed to replace it; transferPolicy may also be a TransferPolicy. frontendDir: null serves the API only.
+ * Each app opens its own database connection, so apps on different files can run side by side;
+ * call close() when an app is no longer needed.
+ */
+export async function createApp({
+  dbPath,
+  csvPath = DEFAULT_PATHS.csvPath,
+  aliasPath = DEFAULT_PATHS.aliasPath,
+  coordinatesPath = DEFAULT_PATHS.coordinatesPath,
+  ticketKeyFile = DEFAULT_PATHS.ticketKeyFile,
+  ticketSigner,
+  frontendDir = DEFAULT_PATHS.frontendDir,
+  adminToken = process.env.ADMIN_TOKEN,
+  conductorToken = process.env.CONDUCTOR_TOKEN,
+  ...sections
+} = {}) {
+  const settings = { ...config, ...sections };
+  const { transferPolicy: policy = {} } = settings;
+  const transferPolicy = policy instanceof TransferPolicy ? policy : new TransferPolicy(policy);
+  const limits = { ...DEFAULT_SEARCH_LIMITS, ...settings.search };
+
+  const database = db.createDatabase(dbPath);
+  database.initDatabase();
+  try {
+    const csvProcessor = new CSVDataProcessor();
+    const routeValidator = new RouteValidator(csvProcessor);
+    const timetableImporter = new TimetableImporter(csvProcessor, routeValidator, database);
+    const stationDirectory = new StationDirectory();
+    const routeSearch = new RouteSearch(transferPolicy, stationDirectory, limits.cacheSize, database);
+    const accountService = new AccountService(settings.accounts || {}, database);
+    const services = {
+      transferPolicy,
+      stationDirectory,
+      routeSearch,
+      accountService,
+      bookingService: new BookingService(
+        routeSearch,
+        new RefundPolicy(settings.refunds),
+        new FareEngine(settings.fares),
+        settings.bookings || {},
+        database
+      ),
+      ticketService: new TicketService(
+        ticketSigner || TicketSigner.fromEnvironment(ticketKeyFile),
+        settings.fares?.currency || "EUR",
+        database
+      ),
+      routeAdminService: new RouteAdminService(
+        routeSearch,
+        routeValidator,
+        timetableImporter,
+        new GtfsImporter(settings.gtfs, database),
+        database
+      ),
+      gtfsExporter: new GtfsExporter(settings.gtfs, database),
+    };
+
+    await new DataLoader(timetableImporter, routeSearch, policy.stationMinTransferMinutes, database)
+      .initialize(csvPath, aliasPath, coordinatesPath);
+
+    const guards = {
+      ...sessionGuards(accountService),
+      limitGuests: guestLimit(new RateLimiter(settings.accounts?.guestLookup)),
+      idempotent: idempotency(settings.bookings, database),
+      requireAdmin: adminOnly(adminToken),
+      requireStaff: staffOnly(conductorToken, adminToken),
+    };
+
+    const app = express();
+    app.use(cors());
+    app.use(express.json());
+
+    app.get("/api/health", (_req, res) => {
+      res.json({ ok: true, csv: csvPath, routesLoaded: routeSearch.routeCount(), dbRouteCount: database.countRoutes(), searchCache: routeSearch.cacheStats() });
+    });
+    searchRoutes(app, { routeSearch, stationDirectory, limits });
+    accountRoutes(app, { ...services, guards });
+    bookingRoutes(app, { ...services, guards });
+    ticketRoutes(app, { ...services, guards });
+    adminRoutes(app, { ...services, guards });
+
+    if (frontendDir) {
+      app.use(express.static(frontendDir));
+      app.get("/", (_req, res) => res.sendFile(path.join(frontendDir, "index.html")));
+    }
+
+    return { app, services, settings, close: () => database.closeDatabase() };
+  } catch (err) {
+    database.closeDatabase();
+    throw err;
+  }
+}
+
+// Export classes for programmatic use
+export {
+  TransferPolicy,
+  StationDirectory,
+  RouteSearch,
+  RefundPolicy,
+  FareEngine,
+  AccountService,
+  RateLimiter,
+  BookingService,
+  TicketService,
+  RouteAdminService,
+  DataLoader,
+  startBookingSweep,
+};
@@ -0,0 +1,208 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { performance } from "perf_hooks";
+import { localTravelDate, dayCodeOf } from "./dates.js";
+
+/**
+ * Search latency benchmark on the bundled network, timed in-process on RouteSearch:
+ *   node benchmark-search.js [--queries 60] [--repeat 5] [--date YYYY-MM-DD] [--build ../other/backend]
+ *                            [--compare ../old/backend] [--baseline file.json] [--save file.json [--label text]] [--cache]
+ * Every build is made by the createApp in its app.js on a throwaway in-memory database, with the search cache
+ * off. Queries are picked with this checkout: distinct city pairs on one travel date whose results include an
+ * itinerary with at least two changes. Each query is timed twice: the whole search() as /api/search runs it,
+ * and connectionSearch() alone, the part the departure index speeds up (search() also prices every itinerary
+ * and reads its seats left from the database). A sample runs the query back to back for SAMPLE_MS; after one
+ * untimed sample to warm the JIT, the median of --repeat samples is its time. --build times another checkout
+ * with those queries; --compare times a second checkout alongside, alternating query by query. --baseline
+ * reuses the queries and date of timings recorded by --save (data/search_benchmark_baseline.json holds the
+ * search before departures were indexed). --cache leaves the cache on and times repeats after a first pass.
+ */
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const cached = args.includes("--cache");
+const queryCount = Number(option("queries", 60));
+const repeat = Number(option("repeat", 5));
+const buildDir = path.resolve(option("build", __dirname));
+const compareDir = option("compare") && path.resolve(option("compare"));
+const baselineFile = option("baseline");
+const baseline = baselineFile ? JSON.parse(fs.readFileSync(baselineFile, "utf8")) : null;
+
+// The options /api/search passes for include=all with a wide layover window and up to three changes
+const SEARCH_OPTIONS = { include: "all", maxTransfers: 3, maxLayover: 360, offset: 0, limit: 100, maxExpansions: 50000 };
+
+// How long one sample runs a query for, so a sub-millisecond search is not lost in timer and GC noise
+const SAMPLE_MS = 5;
+
+// What each query is timed on: the whole search() and connectionSearch() alone
+const MEASURES = ["search", "connections"];
+
+// The coming Wednesday, so a default run searches a full weekday timetable
+function nextWednesday() {
+  const date = new Date();
+  date.setDate(date.getDate() + ((10 - date.getDay()) % 7 || 7));
+  return localTravelDate(date);
+}
+
+async function openBuild(dir) {
+  const { createApp } = await import(pathToFileURL(path.join(dir, "app.js")).href);
+  return createApp({ dbPath: ":memory:", frontendDir: null, ...(cached ? {} : { search: { cacheSize: 0 } }) });
+}
+
+// City pairs in a fixed pseudo-random order, kept when a result changes trains at least twice
+function pickQueries({ routeSearch, routeAdminService }, count, date) {
+  let seed = 342;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  const routes = routeAdminService.listRoutes({ status: "active" });
+  const cities = [...new Set(routes.flatMap((r) => [r.from, r.arriveCity]))].sort();
+  const pairs = cities.flatMap((from) => cities.filter((to) => to !== from).map((to) => ({ from, to })));
+  for (let i = pairs.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [pairs[i], pairs[j]] = [pairs[j], pairs[i]];
+  }
+  const queries = [];
+  for (const pair of pairs) {
+    const { itineraries } = routeSearch.search(pair.from, pair.to, null, "duration", date, SEARCH_OPTIONS);
+    if (itineraries.some((it) => it.segments.length >= 3)) queries.push(pair);
+    if (queries.length === count) break;
+  }
+  return queries;
+}
+
+// Milliseconds per call of run(), over as many calls as fit in SAMPLE_MS
+function sample(run) {
+  const started = performance.now();
+  let calls = 0;
+  let elapsed;
+  do {
+    run();
+    calls++;
+    elapsed = performance.now() - started;
+  } while (elapsed < SAMPLE_MS);
+  return elapsed / calls;
+}
+
+function timeQuery(routeSearch, { from, to }, date, measures = MEASURES) {
+  const runs = {
+    search: () => routeSearch.search(from, to, null, "duration", date, SEARCH_OPTIONS),
+    connections: () => routeSearch.connectionSearch(from, to, dayCodeOf(date), SEARCH_OPTIONS.maxTransfers),
+  };
+  return Object.fromEntries(measures.map((measure) => [measure, sample(runs[measure])]));
+}
+
+const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+function stats(timings) {
+  const sorted = [...timings].sort((a, b) => a - b);
+  const at = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  return { n: sorted.length, mean: sorted.reduce((a, b) => a + b, 0) / sorted.length, p50: at(0.5), p95: at(0.95), max: sorted.at(-1) };
+}
+
+function summarize(label, { n, mean, p50, p95, max }) {
+  const ms = (value) => `${value.toFixed(3).padStart(7)} ms`;
+  console.log(`${label.padEnd(24)} n=${String(n).padEnd(5)} mean ${ms(mean)}  p50 ${ms(p50)}  p95 ${ms(p95)}  max ${ms(max)}`);
+}
+
+// How this run compares with another one over the same queries: speed-up and queries whose result counts differ
+function compare(label, current, other) {
+  for (const measure of MEASURES) {
+    summarize(`${label} ${measure}`, other.stats[measure]);
+    const ratio = (key) => `${(other.stats[measure][key] / current.stats[measure][key]).toFixed(2)}x`;
+    console.log(`${"".padEnd(24)} this build is ${ratio("mean")} as fast on the mean, ${ratio("p50")} on p50, ${ratio("p95")} on p95`);
+  }
+  const differing = current.queries.filter((q, i) => other.queries[i] && q.total !== other.queries[i].total);
+  if (differing.length) {
+    console.log(`${"".padEnd(24)} ${differing.length} quer${differing.length === 1 ? "y" : "ies"} found a different number of itineraries, e.g. ${differing[0].from} -> ${differing[0].to}`);
+  }
+}
+
+function summarizeRun(label, run) {
+  for (const measure of MEASURES) summarize(`${label} ${measure}`, run.stats[measure]);
+}
+
+// Time each query on every build in turn, so drift on the machine affects them alike
+function timeBuilds(builds, queries, date, measures = MEASURES) {
+  for (const query of queries) builds.forEach((build) => timeQuery(build.routeSearch, query, date, measures));
+  const runs = builds.map(() => []);
+  for (const query of queries) {
+    const samples = builds.map(() => []);
+    for (let pass = 0; pass < repeat; pass++) {
+      builds.forEach((build, b) => samples[b].push(timeQuery(build.routeSearch, query, date, measures)));
+    }
+    samples.forEach((s, b) => {
+      const { total } = builds[b].routeSearch.search(query.from, query.to, null, "duration", date, SEARCH_OPTIONS);
+      const ms = Object.fromEntries(measures.map((measure) => [measure, median(s.map((r) => r[measure]))]));
+      runs[b].push({ ...query, total, ms });
+    });
+  }
+  return runs.map((results) => ({
+    stats: Object.fromEntries(measures.map((measure) => [measure, stats(results.map((r) => r.ms[measure]))])),
+    queries: results,
+  }));
+}
+
+const date = option("date", baseline?.date ?? nextWednesday());
+const here = await openBuild(__dirname);
+const opened = [here];
+try {
+  const queries = baseline ? baseline.queries.map(({ from, to }) => ({ from, to })) : pickQueries(here.services, queryCount, date);
+  if (!queries.length) throw new Error(`No city pairs with connections on ${date}.`);
+
+  const build = buildDir === __dirname ? here : await openBuild(buildDir);
+  if (build !== here) opened.push(build);
+  const builds = [build.services];
+  if (compareDir) {
+    const other = await openBuild(compareDir);
+    opened.push(other);
+    builds.push(other.services);
+  }
+
+  console.log(`${queries.length} queries on ${date} in ${buildDir}${cached ? "" : ", search cache off"}, median of ${repeat} samples each`);
+  if (cached) {
+    const first = queries.map((query) => {
+      const started = performance.now();
+      build.services.routeSearch.search(query.from, query.to, null, "duration", date, SEARCH_OPTIONS);
+      return performance.now() - started;
+    });
+    summarize("first pass search", stats(first));
+    summarize("repeated search", timeBuilds([build.services], queries, date, ["search"])[0].stats.search);
+    if (baseline || option("save")) console.warn("--cache timings are not compared with or saved as a baseline.");
+  } else {
+    const [current, compared] = timeBuilds(builds, queries, date);
+    summarizeRun("this build", current);
+    if (compared) compare("compared", current, compared);
+
+    if (baseline) {
+      if (baseline.date !== date) console.warn(`${baselineFile} was recorded for ${baseline.date}; results on ${date} are only a rough guide.`);
+      console.log(`baseline: ${baseline.label}, recorded ${baseline.recordedAt} on ${baseline.machine}`);
+      compare("baseline", current, baseline);
+    }
+
+    const saveFile = option("save");
+    if (saveFile) {
+      const record = {
+        label: option("label", buildDir),
+        recordedAt: new Date().toISOString(),
+        machine: `${os.cpus()[0]?.model ?? "unknown CPU"}, Node ${process.version}`,
+        date,
+        repeat,
+        sampleMs: SAMPLE_MS,
+        stats: current.stats,
+        queries: current.queries,
+      };
+      fs.writeFileSync(saveFile, JSON.stringify(record, null, 2) + "\n");
+      console.log(`Timings saved to ${saveFile}`);
+    }
+  }
+} finally {
+  for (const app of opened) app.close();
+}
@@ -0,0 +1,771 @@
+import * as db from "./database.js";
+import config from "./config.js";
+import { ConflictError, NotFoundError, ValidationError, InvariantError } from "./errors.js";
+import { assertRules, travellerViolations, tripViolations } from "./invariants.js";
+import { BookingLifecycle, SYSTEM_ACTOR } from "./lifecycle.js";
+import { newBookingReference } from "./accounts.js";
+import { parseTravelDate, localTravelDate, toDateTime, assignSegmentDates, assignTripDates } from "./dates.js";
+import { MAX_JOURNEYS } from "./search.js";
+import { SEAT_CLASSES, RefundPolicy, FareEngine } from "./fares.js";
+
+/**
+ * Whether a caller may see a trip: the account that booked it, or a guest who gives the trip's
+ * booking reference with the last name and ID number of one of its travellers. Trips booked before
+ * booking references existed have none, so the last name and ID number are enough for them.
+ */
+export function canAccessTrip(trip, reservations, access = {}) {
+  if (access.userId != null && trip.user_id === access.userId) return true;
+
+  const { lastName, idNumber, bookingReference } = access;
+  if (!lastName || !idNumber) return false;
+  if (trip.booking_reference != null && trip.booking_reference !== bookingReference) return false;
+  return reservations.some(
+    (r) => r.last_name.toLowerCase() === lastName.toLowerCase() && r.id_number.toLowerCase() === idNumber.toLowerCase()
+  );
+}
+
+/**
+ * How a caller is named in a booking's history: "user:<id>" for an account, "guest" otherwise
+ */
+function actorOf(access = {}) {
+  return access.userId != null ? `user:${access.userId}` : "guest";
+}
+
+/**
+ * Guests (callers without an account session) must name a traveller; canAccessTrip also needs the
+ * booking reference unless the trip predates them
+ */
+export function requireGuestDetails(access = {}) {
+  if (access.userId == null && (!access.lastName || !access.idNumber)) {
+    throw new Error("Missing lastName or idNumber. Sign in to see trips booked with your account.");
+  }
+}
+
+/**
+ * BookingService class handles booking-related operations
+ */
+export class BookingService {
+  #dbConnection;
+  #routeSearch;
+  #refundPolicy;
+  #fareEngine;
+  #lifecycle;
+  #holdMinutes;
+
+  constructor(
+    routeSearch,
+    refundPolicy = new RefundPolicy(config.refunds),
+    fareEngine = new FareEngine(config.fares),
+    { holdMinutes = 15 } = config.bookings || {},
+    database = db
+  ) {
+    this.#dbConnection = database;
+    this.#routeSearch = routeSearch;
+    this.#refundPolicy = refundPolicy;
+    this.#fareEngine = fareEngine;
+    this.#lifecycle = new BookingLifecycle();
+    this.#holdMinutes = holdMinutes;
+  }
+
+  summarizeConnection(conn) {
+    if (!conn || !conn.segments || !conn.segments.length) return "";
+    const first = conn.segments[0];
+    const last = conn.segments[conn.segments.length - 1];
+    return `${first?.from || "?"} → ${last?.arriveCity || "?"} (${first?.departTime || "?"} - ${last?.arriveTime || "?"})`;
+  }
+
+  /**
+   * Check a connection sent by the client against the timetable; returns it rebuilt from
+   * the routes (with the server's prices and durations) and the dates of its segments
+   */
+  #validateConnection(requested) {
+    if (!requested || !Array.isArray(requested.segments) || requested.segments.length === 0) {
+      throw new Error("Missing or invalid connection.");
+    }
+    if (!parseTravelDate(requested.travelDate)) {
+      throw new Error("Missing or invalid travel date. Expected YYYY-MM-DD.");
+    }
+    const connection = this.#routeSearch.itineraryFor(requested.segments, requested.travelDate);
+    if (toDateTime(connection.travelDate, connection.segments[0].departTime) < new Date()) {
+      throw new Error("Travel date is in the past.");
+    }
+    return { connection, dates: assignSegmentDates(connection.segments, connection.travelDate) };
+  }
+
+  /**
+   * Run a check on journey i of a trip, naming the journey in its errors when there is more than one
+   */
+  #forJourney(i, count, check) {
+    try {
+      return check();
+    } catch (err) {
+      if (count === 1) throw err;
+      if (err instanceof ValidationError) {
+        throw new ValidationError(`Journey ${i + 1}: ${err.message}`, err.details.map((d) => ({
+          ...d,
+          field: `journeys[${i}].${d.field}`,
+          message: `Journey ${i + 1}: ${d.message}`,
+        })));
+      }
+      throw new Error(`Journey ${i + 1}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Check the itineraries booked together as one trip: each one on its own, and each
+   * departing after the previous one arrives. Returns the journeys rebuilt from the
+   * timetable and the segment dates of every journey.
+   */
+  #validateJourneys(requested) {
+    if (!Array.isArray(requested) || requested.length === 0 || requested.length > MAX_JOURNEYS) {
+      throw new Error(requested == null
+        ? "Missing or invalid connection."
+        : `Invalid journeys. Expected a list of 1 to ${MAX_JOURNEYS} itineraries.`);
+    }
+    const checked = requested.map((connection, i) =>
+      this.#forJourney(i, requested.length, () => this.#validateConnection(connection))
+    );
+    const journeys = checked.map((c) => c.connection);
+    const journeyDates = checked.map((c) => c.dates);
+    this.#checkJourneyOrder(journeys.map((j, i) => this.#journeyTimes(j.segments, journeyDates[i])));
+    return { journeys, journeyDates };
+  }
+
+  #journeyTimes(segments, dates) {
+    return {
+      departure: toDateTime(dates[0].departDate, segments[0].departTime),
+      arrival: toDateTime(dates.at(-1).arriveDate, segments.at(-1).arriveTime),
+    };
+  }
+
+  #checkJourneyOrder(times) {
+    for (let i = 1; i < times.length; i++) {
+      if (times[i].departure < times[i - 1].arrival) {
+        throw new Error(`Journey ${i + 1} must depart after journey ${i} arrives.`);
+      }
+    }
+  }
+
+  /**
+   * One-way for a single journey, round-trip for out and back between the same stations, multi-city otherwise
+   */
+  #tripTypeOf(journeys) {
+    if (journeys.length === 1) return "one-way";
+    const [outbound, back] = journeys.map((j) => ({ from: j.segments[0].from, to: j.segments.at(-1).arriveCity }));
+    return journeys.length === 2 && back.from === outbound.to && back.to === outbound.from ? "round-trip" : "multi-city";
+  }
+
+  /**
+   * Trip-level summary, date and totals across its journeys
+   */
+  #tripDetails(journeys, tripType = this.#tripTypeOf(journeys)) {
+    const stops = [journeys[0].segments[0].from, ...journeys.map((j) => j.segments.at(-1).arriveCity)];
+    const label = tripType === "round-trip" ? "Round trip" : "Multi-city";
+    return {
+      tripType,
+      connectionSummary: journeys.length === 1 ? journeys[0].connectionSummary : `${label}: ${stops.join(" → ")}`,
+      travelDate: journeys[0].travelDate,
+      totalDurationMinutes: journeys.reduce((sum, j) => sum + (j.totalDurationMinutes || 0), 0),
+      totalPrice: {
+        first: journeys.reduce((sum, j) => sum + (j.totalPrice?.first || 0), 0),
+        second: journeys.reduce((sum, j) => sum + (j.totalPrice?.second || 0), 0),
+      },
+    };
+  }
+
+  // Segments of every journey in one list, numbered by journey, with the layover after each
+  #tripSegments(journeys, journeyDates) {
+    const segments = [];
+    const transferTimes = [];
+    journeys.forEach((journey, j) => {
+      journey.segments.forEach((s, i) => {
+        segments.push({ ...s, journeyOrder: j + 1, travelDate: journeyDates[j][i].departDate });
+        transferTimes.push(journey.transferTimes?.[i] || 0);
+      });
+    });
+    return { segments, transferTimes };
+  }
+
+  #legs(segments, dates) {
+    return segments.map((s, i) => ({ routeId: s.routeId, travelDate: dates[i].departDate }));
+  }
+
+  /**
+   * Check travellers and give each one a seat class: their own choice, or the booking's class
+   */
+  #normalizeTravellers(travellers, seatClass) {
+    if (!SEAT_CLASSES.includes(seatClass)) {
+      throw new Error(`Invalid seat class. Expected one of: ${SEAT_CLASSES.join(", ")}.`);
+    }
+    // Names, ID numbers and ages must satisfy the Reservation invariants before any seat is taken
+    assertRules(travellerViolations(travellers));
+
+    return travellers.map((t, i) => {
+      const travellerClass = t.seatClass || seatClass;
+      if (!SEAT_CLASSES.includes(travellerClass)) {
+        throw new Error(`Invalid seat class for traveller ${i + 1}. Expected one of: ${SEAT_CLASSES.join(", ")}.`);
+      }
+      return {
+        firstName: t.firstName.toString().trim(),
+        lastName: t.lastName.toString().trim(),
+        age: Number(t.age),
+        idNumber: t.idNumber.toString().trim(),
+        seatClass: travellerClass,
+      };
+    });
+  }
+
+  #seatsByClass(seatClasses) {
+    const counts = new Map();
+    for (const seatClass of seatClasses) counts.set(seatClass, (counts.get(seatClass) || 0) + 1);
+    return counts;
+  }
+
+  /**
+   * Price travellers on the itineraries of a trip without booking anything
+   */
+  quote(requested, travellers, seatClass = "second") {
+    if (!Array.isArray(requested) || requested.length === 0 || requested.length > MAX_JOURNEYS || requested.some((c) => !c)) {
+      throw new Error("Missing or invalid connection.");
+    }
+    // Prices come from the timetable; a travel date, when given, also checks the trains run that day
+    const journeys = requested.map((c, i) => this.#forJourney(i, requested.length, () =>
+      this.#routeSearch.itineraryFor(c.segments, parseTravelDate(c.travelDate) ? c.travelDate : null)
+    ));
+    const people = this.#normalizeTravellers(travellers, seatClass);
+    const { currency, total, fares } = this.#fareEngine.quote(this.#tripDetails(journeys).totalPrice, people);
+    return {
+      currency,
+      total,
+      travellers: people.map((t, i) => ({ firstName: t.firstName, lastName: t.lastName, age: t.age, ...fares[i] })),
+    };
+  }
+
+  /**
+   * Work out the real departure and arrival of a stored trip
+   */
+  #schedule(trip, segments) {
+    // Trips booked before travel dates existed have none, and so no departure or arrival
+    const travelDate = trip.travel_date ?? null;
+    if (!segments.length || !parseTravelDate(travelDate)) {
+      return { travelDate, dates: [], departure: null, arrival: null, departAt: null, arriveAt: null };
+    }
+
+    const first = segments[0];
+    const last = segments[segments.length - 1];
+    const dates = assignTripDates(segments, travelDate);
+    return {
+      travelDate,
+      dates,
+      departure: toDateTime(dates[0].departDate, first.departTime),
+      arrival: toDateTime(dates.at(-1).arriveDate, last.arriveTime),
+      departAt: `${dates[0].departDate}T${first.departTime.slice(0, 5)}`,
+      arriveAt: `${dates.at(-1).arriveDate}T${last.arriveTime.slice(0, 5)}`,
+    };
+  }
+
+  /**
+   * Load a trip on behalf of the account that booked it or a guest (see canAccessTrip)
+   */
+  #findTripFor(tripId, access) {
+    requireGuestDetails(access);
+
+    const trip = this.#dbConnection.getTripById(Number(tripId));
+    const reservations = trip ? this.#dbConnection.getReservationsByTrip(trip.trip_id) : [];
+    if (!trip || !canAccessTrip(trip, reservations, access)) {
+      throw new NotFoundError("Trip not found.");
+    }
+
+    return { trip, reservations, segments: this.#dbConnection.getTripSegments(trip.trip_id) };
+  }
+
+  /**
+   * Move a trip and some of its reservations to a new state; every move is checked against the
+   * lifecycle and recorded in the booking history. Pass a null trip to move only the reservations.
+   */
+  #move(trip, reservations, to, actor, reason = null) {
+    for (const r of reservations) this.#lifecycle.assertMove(r.status, to, `Reservation ${r.reservation_id}`);
+    if (trip) this.#lifecycle.assertMove(trip.status, to, "Trip");
+
+    this.#dbConnection.runInTransaction(() => {
+      for (const r of reservations) {
+        this.#dbConnection.moveBooking({ tripId: r.trip_id, reservationId: r.reservation_id, from: r.status, to, actor, reason });
+      }
+      if (trip) this.#dbConnection.moveBooking({ tripId: trip.trip_id, from: trip.status, to, actor, reason });
+    });
+    for (const r of reservations) r.status = to;
+    if (trip) trip.status = to;
+  }
+
+  /**
+   * Confirm a held booking and issue its tickets
+   */
+  #confirm({ trip, reservations }, actor) {
+    const held = reservations.filter((r) => r.status === "held");
+    this.#move(trip, held, "confirmed", actor, "Confirmed by the booker");
+    this.#move(trip, held, "ticketed", SYSTEM_ACTOR, "Tickets issued");
+  }
+
+  /**
+   * A held booking lapses when its hold runs out or its first train leaves first
+   */
+  #holdLapsed(trip, segments, now = new Date()) {
+    if (trip.status !== "held") return false;
+    const { departure } = this.#schedule(trip, segments);
+    return (trip.hold_expires_at && new Date(trip.hold_expires_at) <= now) || (departure !== null && departure <= now);
+  }
+
+  /**
+   * Give back the seats of a lapsed hold and mark it expired
+   */
+  #expire({ trip, reservations, segments }) {
+    const held = reservations.filter((r) => r.status === "held");
+    const legs = this.#legs(segments, this.#schedule(trip, segments).dates);
+    this.#dbConnection.runInTransaction(() => {
+      for (const [seatClass, count] of this.#seatsByClass(held.map((r) => r.seat_class))) {
+        this.#dbConnection.releaseSeats(legs, seatClass, count);
+      }
+      this.#move(trip, held, "expired", SYSTEM_ACTOR, "Hold expired");
+    });
+  }
+
+  /**
+   * Book one itinerary, or several (round trip, multi-city) together as one trip;
+   * the trip belongs to userId when the booker is signed in. The booking is confirmed and
+   * ticketed straight away unless hold is set, in which case its seats are only held
+   * until confirmTrip is called or the hold expires.
+   */
+  createBooking(requested, travellers, seatClass = "second", userId = null, { hold = false } = {}) {
+    // Journeys are rebuilt from the timetable, so durations and prices are the server's, never the client's
+    const { journeys, journeyDates } = this.#validateJourneys(requested);
+    const people = this.#normalizeTravellers(travellers, seatClass);
+    for (const journey of journeys) journey.connectionSummary = this.summarizeConnection(journey);
+    const trip = this.#tripDetails(journeys);
+    const { currency, total, fares } = this.#fareEngine.quote(trip.totalPrice, people);
+    const { segments, transferTimes } = this.#tripSegments(journeys, journeyDates);
+    const legs = segments.map((s) => ({ routeId: s.routeId, travelDate: s.travelDate }));
+    const actor = actorOf({ userId });
+
+    // The whole booking is one unit of work: if any step fails, no seat, trip or reservation is kept
+    const { tripId, bookingReference, holdExpiresAt, reservationIds, booking } = this.#dbConnection.runInTransaction(() => {
+      // Take one seat per traveller on every leg of every journey in their class, or none at all if any leg is full
+      for (const [travellerClass, count] of this.#seatsByClass(people.map((t) => t.seatClass))) {
+        this.#dbConnection.reserveSeats(legs, travellerClass, count);
+      }
+
+      // Create trip in database, with a reference the booker can use to find it as a guest
+      let bookingReference = newBookingReference();
+      while (this.#dbConnection.getTripByReference(bookingReference)) bookingReference = newBookingReference();
+      const holdExpiresAt = new Date(Date.now() + this.#holdMinutes * 60000).toISOString();
+      const tripId = this.#dbConnection.createTrip(trip, { userId, bookingReference, holdExpiresAt });
+      this.#dbConnection.saveTripJourneys(tripId, journeys);
+
+      // Insert trip segments, each dated by the day it actually departs
+      this.#dbConnection.insertTripSegments(tripId, segments, transferTimes);
+
+      // Create reservations (each with its ticket) for each traveller, with the fare they pay
+      const reservationIds = people.map((t, i) =>
+        this.#dbConnection.createReservation(tripId, { ...t, fareCategory: fares[i].category, amount: fares[i].amount })
+      );
+
+      // The stored trip must satisfy every Reservation invariant
+      const stored = this.#dbConnection.getReservationsByTrip(tripId);
+      assertRules(tripViolations(tripId, stored), InvariantError);
+
+      // Every booking starts out held; record that, then confirm it unless the booker only wants a hold
+      for (const r of stored) {
+        this.#dbConnection.moveBooking({ tripId, reservationId: r.reservation_id, to: "held", actor, reason: "Booked" });
+      }
+      this.#dbConnection.moveBooking({ tripId, to: "held", actor, reason: "Booked" });
+      const booking = { trip: this.#dbConnection.getTripById(tripId), reservations: stored };
+      if (!hold) this.#confirm(booking, actor);
+      return { tripId, bookingReference, holdExpiresAt, reservationIds, booking };
+    });
+
+    const byId = new Map(this.#dbConnection.getReservationsByTrip(tripId).map((r) => [r.reservation_id, r]));
+    const reservations = people.map((t, i) => ({
+      reservationId: reservationIds[i],
+      ...t,
+      fareCategory: fares[i].category,
+      amount: fares[i].amount,
+      status: byId.get(reservationIds[i]).status,
+      ticket: {
+        ticketId: byId.get(reservationIds[i]).ticket_id,
+        status: byId.get(reservationIds[i]).ticket_status
+      }
+    }));
+
+    return {
+      tripId,
+      bookingReference,
+      tripType: trip.tripType,
+      status: booking.trip.status,
+      holdExpiresAt: hold ? holdExpiresAt : null,
+      reservations,
+      total,
+      currency,
+    };
+  }
+
+  /**
+   * Confirm a held trip and issue its tickets; a hold that has run out is expired instead
+   */
+  confirmTrip(tripId, access) {
+    const booking = this.#findTripFor(tripId, access);
+    if (this.#holdLapsed(booking.trip, booking.segments)) {
+      this.#expire(booking);
+      throw new ConflictError("The hold on this trip has expired and its seats were released. Please book again.");
+    }
+    this.#confirm(booking, actorOf(access));
+
+    return {
+      tripId: booking.trip.trip_id,
+      status: booking.trip.status,
+      reservations: this.#dbConnection.getReservationsByTrip(booking.trip.trip_id).map((r) => ({
+        reservationId: r.reservation_id,
+        status: r.status,
+        ticket: { ticketId: r.ticket_id, status: r.ticket_status },
+      })),
+    };
+  }
+
+  /**
+   * The recorded state changes of a trip and its reservations, oldest first
+   */
+  getTripHistory(tripId, access) {
+    const { trip } = this.#findTripFor(tripId, access);
+    return {
+      tripId: trip.trip_id,
+      status: trip.status,
+      history: this.#dbConnection.getBookingHistory(trip.trip_id).map((h) => ({
+        reservationId: h.reservation_id,
+        from: h.from_status,
+        to: h.to_status,
+        actor: h.actor,
+        reason: h.reason,
+        at: h.created_at,
+      })),
+    };
+  }
+
+  /**
+   * Expire held trips whose hold has run out; returns how many were expired
+   */
+  expireHolds(now = new Date()) {
+    const lapsed = this.#dbConnection.getExpiredHolds(now.toISOString());
+    for (const trip of lapsed) {
+      this.#expire({
+        trip,
+        reservations: this.#dbConnection.getReservationsByTrip(trip.trip_id),
+        segments: this.#dbConnection.getTripSegments(trip.trip_id),
+      });
+    }
+    return lapsed.length;
+  }
+
+  /**
+   * Mark ticketed trips whose last train has arrived as travelled; returns how many were
+   */
+  completeTravelledTrips(now = new Date()) {
+    let travelled = 0;
+    for (const trip of this.#dbConnection.getTicketedTripsBy(localTravelDate(now))) {
+      const { arrival } = this.#schedule(trip, this.#dbConnection.getTripSegments(trip.trip_id));
+      if (arrival === null || arrival > now) continue;
+      const ticketed = this.#dbConnection.getReservationsByTrip(trip.trip_id).filter((r) => r.status === "ticketed");
+      this.#move(trip, ticketed, "travelled", SYSTEM_ACTOR, "Arrived");
+      travelled++;
+    }
+    return travelled;
+  }
+
+  /**
+   * The automatic transitions, run periodically by the server
+   */
+  sweep(now = new Date()) {
+    return { expired: this.expireHolds(now), travelled: this.completeTravelledTrips(now) };
+  }
+
+  /**
+   * Cancel every remaining reservation of a trip
+   */
+  cancelTrip(tripId, access) {
+    const booking = this.#findTripFor(tripId, access);
+    const active = booking.reservations.filter((r) => this.#lifecycle.isLive(r.status));
+    if (!active.length) {
+      throw new ConflictError(`Trip is already ${booking.trip.status}.`);
+    }
+    return this.#cancelReservations(booking, active, actorOf(access));
+  }
+
+  /**
+   * Cancel a single traveller's reservation on a trip
+   */
+  cancelReservation(tripId, reservationId, access) {
+    const booking = this.#findTripFor(tripId, access);
+    const reservation = booking.reservations.find((r) => r.reservation_id === Number(reservationId));
+    if (!reservation) {
+      throw new NotFoundError("Reservation not found.");
+    }
+    if (!this.#lifecycle.isLive(reservation.status)) {
+      throw new ConflictError(`Reservation is already ${reservation.status}.`);
+    }
+    return this.#cancelReservations(booking, [reservation], actorOf(access));
+  }
+
+  #cancelReservations({ trip, reservations, segments }, toCancel, actor) {
+    if (trip.travel_date == null) {
+      throw new ConflictError("Trip was booked before travel dates were recorded, so its refund cannot be worked out and it cannot be cancelled here.");
+    }
+    const { dates, departure } = this.#schedule(trip, segments);
+    const hoursBeforeDeparture = departure ? (departure - new Date()) / 3600000 : 0;
+    if (hoursBeforeDeparture <= 0) {
+      throw new ConflictError("Trip has already departed and can no longer be cancelled.");
+    }
+
+    const legs = this.#legs(segments, dates);
+    const remaining = reservations.filter((r) => this.#lifecycle.isLive(r.status) && !toCancel.includes(r));
+
+    const refunds = this.#dbConnection.runInTransaction(() => {
+      const refunds = toCancel.map((r) => {
+        // Held seats are paid for on confirmation; reservations made before fares were stored paid the full class price
+        const pricePaid = r.status === "held" ? 0 : r.amount ?? (r.seat_class === "first" ? trip.first_class_total : trip.second_class_total);
+        const refund = this.#refundPolicy.refundFor(r.seat_class, pricePaid, hoursBeforeDeparture);
+        this.#dbConnection.releaseSeats(legs, r.seat_class, 1);
+        this.#dbConnection.setReservationRefund(r.reservation_id, refund.amount);
+        this.#move(null, [r], "cancelled", actor, "Cancelled by the booker");
+        return {
+          reservationId: r.reservation_id,
+          seatClass: r.seat_class,
+          pricePaid,
+          refundPercent: refund.percent,
+          refundAmount: refund.amount,
+        };
+      });
+      if (!remaining.length) this.#move(trip, [], "cancelled", actor, "Every traveller cancelled");
+      return refunds;
+    });
+
+    return {
+      tripId: trip.trip_id,
+      status: trip.status,
+      refunds,
+      totalRefund: Math.round(refunds.reduce((sum, r) => sum + r.refundAmount * 100, 0)) / 100,
+    };
+  }
+
+  /**
+   * The stored segments of a trip split into its journeys, with their dates
+   */
+  #storedJourneys(trip, segments) {
+    const { dates } = this.#schedule(trip, segments);
+    const journeys = [];
+    segments.forEach((segment, i) => {
+      const last = journeys.at(-1);
+      if (last && last.journeyOrder === segment.journeyOrder) {
+        last.segments.push(segment);
+        last.dates.push(dates[i]);
+      } else {
+        journeys.push({ journeyOrder: segment.journeyOrder, segments: [segment], dates: [dates[i]] });
+      }
+    });
+    return journeys;
+  }
+
+  /**
+   * Move one journey of a trip (the only one for a one-way trip) to another itinerary between
+   * the same origin and destination, keeping its travellers and their seat classes; fares are
+   * recalculated for the whole trip
+   */
+  changeTrip(tripId, requested, access, journeyNumber = 1) {
+    const booking = this.#findTripFor(tripId, access);
+    const { trip, reservations, segments } = booking;
+    if (this.#holdLapsed(trip, segments)) {
+      this.#expire(booking);
+    }
+    if (!this.#lifecycle.isLive(trip.status)) {
+      throw new ConflictError(`A ${trip.status} trip cannot be changed.`);
+    }
+    if (trip.travel_date == null) {
+      throw new ConflictError("Trip was booked before travel dates were recorded and cannot be changed.");
+    }
+
+    const journeys = this.#storedJourneys(trip, segments);
+    const index = Number(journeyNumber) - 1;
+    if (!Number.isInteger(index) || !journeys[index]) {
+      throw new NotFoundError(`Journey ${journeyNumber} not found on this trip.`);
+    }
+    const current = journeys[index];
+
+    const { connection, dates: newDates } = this.#validateConnection(requested);
+    const origin = current.segments[0].from;
+    const destination = current.segments.at(-1).arriveCity;
+    if (connection.segments[0].from !== origin || connection.segments.at(-1).arriveCity !== destination) {
+      throw new Error(`A trip can only be changed to another itinerary from ${origin} to ${destination}.`);
+    }
+
+    const { departure } = this.#journeyTimes(current.segments, current.dates);
+    if (departure < new Date()) {
+      throw new ConflictError(`${journeys.length > 1 ? `Journey ${journeyNumber}` : "Trip"} has already departed and can no longer be changed.`);
+    }
+
+    // The other journeys stay as booked, so the new itinerary has to fit between them
+    connection.connectionSummary = this.summarizeConnection(connection);
+    const stored = this.#dbConnection.getTripJourneys(trip.trip_id);
+    const updated = journeys.map((journey, j) => j === index ? connection : {
+      segments: journey.segments,
+      transferTimes: journey.segments.map((s) => s.layoverAfter || 0),
+      connectionSummary: stored[j]?.connection_summary,
+      travelDate: journey.dates[0].departDate,
+      totalDurationMinutes: stored[j]?.total_duration_minutes,
+      totalPrice: { first: stored[j]?.first_class_total || 0, second: stored[j]?.second_class_total || 0 },
+    });
+    const updatedDates = journeys.map((journey, j) => j === index ? newDates : journey.dates);
+    this.#checkJourneyOrder(updated.map((j, i) => this.#journeyTimes(j.segments, updatedDates[i])));
+    const tripDetails = this.#tripDetails(updated, trip.trip_type);
+
+    const active = reservations.filter((r) => this.#lifecycle.isLive(r.status));
+    const seatsByClass = this.#seatsByClass(active.map((r) => r.seat_class));
+    const { currency, total, fares } = this.#fareEngine.quote(
+      tripDetails.totalPrice,
+      active.map((r) => ({ age: r.age, seatClass: r.seat_class }))
+    );
+
+    const oldLegs = this.#legs(current.segments, current.dates);
+    const newLegs = this.#legs(connection.segments, newDates);
+    const { segments: tripSegments, transferTimes } = this.#tripSegments(updated, updatedDates);
+
+    this.#dbConnection.runInTransaction(() => {
+      for (const [seatClass, count] of seatsByClass) {
+        this.#dbConnection.releaseSeats(oldLegs, seatClass, count);
+        this.#dbConnection.reserveSeats(newLegs, seatClass, count);
+      }
+      this.#dbConnection.deleteTripSegments(trip.trip_id);
+      this.#dbConnection.clearTicketScans(trip.trip_id);
+      this.#dbConnection.insertTripSegments(trip.trip_id, tripSegments, transferTimes);
+      this.#dbConnection.saveTripJourneys(trip.trip_id, updated);
+      this.#dbConnection.updateTripItinerary(trip.trip_id, tripDetails);
+      active.forEach((r, i) => this.#dbConnection.updateReservationAmount(r.reservation_id, fares[i].amount));
+    });
+
+    return {
+      tripId: trip.trip_id,
+      journey: index + 1,
+      connectionSummary: tripDetails.connectionSummary,
+      travelDate: tripDetails.travelDate,
+      currency,
+      total,
+      reservations: active.map((r, i) => ({ reservationId: r.reservation_id, seatClass: r.seat_class, amount: fares[i].amount })),
+    };
+  }
+
+  /**
+   * Trips booked while signed in to an account
+   */
+  getAccountTrips(userId) {
+    return this.#describeTrips(this.#dbConnection.getTripsByUser(userId));
+  }
+
+  /**
+   * The one trip a guest can see: the booking reference plus a traveller's last name and ID number.
+   * Without a reference, the traveller's trips from before booking references existed.
+   */
+  getGuestTrips(access) {
+    const guest = { ...access, userId: undefined };
+    requireGuestDetails(guest);
+
+    if (!guest.bookingReference) {
+      const trips = this.#dbConnection.getLegacyTripsByTraveller(guest.lastName, guest.idNumber);
+      if (!trips.length) {
+        throw new NotFoundError("No trip matches this traveller. Add the bookingReference to find trips booked since references were introduced.");
+      }
+      return this.#describeTrips(trips);
+    }
+    const trip = this.#dbConnection.getTripByReference(guest.bookingReference);
+    const reservations = trip ? this.#dbConnection.getReservationsByTrip(trip.trip_id) : [];
+    if (!trip || !canAccessTrip(trip, reservations, guest)) {
+      throw new NotFoundError("No trip matches this booking reference and traveller.");
+    }
+    return this.#describeTrips([trip]);
+  }
+
+  #describeTrips(tripRows) {
+    const now = new Date();
+    const currentTrips = [];
+    const pastTrips = [];
+
+    for (const trip of tripRows) {
+      const reservations = this.#dbConnection.getReservationsByTrip(trip.trip_id);
+      const segments = this.#dbConnection.getTripSegments(trip.trip_id);
+      const { travelDate, arrival, departAt, arriveAt } = this.#schedule(trip, segments);
+      const summaries = this.#dbConnection.getTripJourneys(trip.trip_id);
+
+      // A trip stays current until its last train has arrived
+      const isPastTrip = arrival !== null && arrival < now;
+
+      const tripData = {
+        tripId: trip.trip_id,
+        bookingReference: trip.booking_reference,
+        tripType: trip.trip_type,
+        connectionSummary: trip.connection_summary,
+        travelDate,
+        departAt,
+        arriveAt,
+        journeys: this.#storedJourneys(trip, segments).map((journey, j) => ({
+          journey: j + 1,
+          connectionSummary: summaries[j]?.connection_summary ?? trip.connection_summary,
+          from: journey.segments[0].from,
+          to: journey.segments.at(-1).arriveCity,
+          departAt: journey.dates[0] ? `${journey.dates[0].departDate}T${journey.segments[0].departTime.slice(0, 5)}` : null,
+          arriveAt: journey.dates[0] ? `${journey.dates.at(-1).arriveDate}T${journey.segments.at(-1).arriveTime.slice(0, 5)}` : null,
+        })),
+        status: trip.status,
+        holdExpiresAt: trip.status === "held" ? trip.hold_expires_at : null,
+        bookedAt: trip.created_at,
+        modifiedAt: trip.modified_at,
+        cancelledAt: trip.cancelled_at,
+        reservations: reservations.map(r => ({
+          reservationId: r.reservation_id,
+          firstName: r.first_name,
+          lastName: r.last_name,
+          age: r.age,
+          idNumber: r.id_number,
+          seatClass: r.seat_class,
+          fareCategory: r.fare_category,
+          amount: r.amount,
+          status: r.status,
+          cancelledAt: r.cancelled_at,
+          refundAmount: r.refund_amount,
+          ticket: {
+            ticketId: r.ticket_id,
+            status: r.ticket_status
+          }
+        }))
+      };
+
+      if (isPastTrip) {
+        pastTrips.push(tripData);
+      } else {
+        currentTrips.push(tripData);
+      }
+    }
+
+    return { currentTrips, pastTrips };
+  }
+}
+
+/**
+ * Expire lapsed holds and mark arrived trips as travelled, now and then every sweepSeconds.
+ * Returns the timer, which does not keep the process alive on its own.
+ */
+export function startBookingSweep(bookingService, { sweepSeconds = 60 } = config.bookings || {}) {
+  const sweep = () => {
+    try {
+      const { expired, travelled } = bookingService.sweep();
+      if (expired || travelled) console.log(`Bookings: ${expired} hold(s) expired, ${travelled} trip(s) travelled.`);
+    } catch (err) {
+      console.error("Booking sweep failed:", err);
+    }
+  };
+  sweep();
+  return setInterval(sweep, sweepSeconds * 1000).unref();
+}
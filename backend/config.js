@@ -0,0 +1,19 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Load the backend configuration. CONFIG_PATH points at an alternative JSON file.
+ */
+export function loadConfig(filePath = process.env.CONFIG_PATH || path.join(__dirname, "config.json")) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Could not read config at ${filePath}: ${err.message}`);
+  }
+}
+
+export default loadConfig();
@@ -2,45 +2,71 @@ import Database from "better-sqlite3";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { ConflictError, InvariantError } from "./errors.js";
+import { assertRules, constraintViolation, reservationPreconditions, reservationPostconditions } from "./invariants.js";
+import { MigrationRunner } from "./migrations.js";
 
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const DEFAULT_DB_PATH = path.join(__dirname, "data", "train_network.db");
+const IN_MEMORY = ":memory:";
+
 
 class DatabaseConnection {
   #dbPath;
-  #schemaPath;
+  #migrationsPath;
   #connection;
 
-  constructor() {
-    this.#dbPath = path.join(__dirname, "data", "train_network.db");
-    this.#schemaPath = path.join(__dirname, "schema.sql");
+  constructor(dbPath = DEFAULT_DB_PATH) {
+    this.#dbPath = dbPath;
+    this.#migrationsPath = path.join(__dirname, "migrations");
     this.#connection = null;
   }
 
   /**
-   * Initialize the database connection and create tables
+   * Initialize the database connection and bring its schema up to date (unless migrate is false).
+   * dbPath replaces the file to open, ":memory:" for a database that lives only as long as the connection.
    */
-  initialize() {
+  initialize({ dbPath = this.#dbPath, migrate = true } = {}) {
+    if (this.#connection) {
+      throw new Error(`Database already open at ${this.#dbPath}. Close it before opening another.`);
+    }
+    this.#dbPath = dbPath;
+    const inMemory = dbPath === IN_MEMORY;
     const dataDir = path.dirname(this.#dbPath);
-    if (!fs.existsSync(dataDir)) {
+    if (!inMemory && !fs.existsSync(dataDir)) {
       fs.mkdirSync(dataDir, { recursive: true });
     }
 
     // Open database connection
     this.#connection = new Database(this.#dbPath);
-    this.#connection.pragma("journal_mode = WAL");
+    if (!inMemory) this.#connection.pragma("journal_mode = WAL");
     this.#connection.pragma("foreign_keys = ON");
 
-    // Read and execute schema
-    const schema = fs.readFileSync(this.#schemaPath, "utf8");
-    this.#connection.exec(schema);
-
-    console.log(`Database initialized at ${this.#dbPath}`);
+    if (migrate) {
+      const { adopted, applied, version, repairs } = this.migrations().migrate();
+      if (adopted.length) console.log(`Existing database recorded at schema version ${adopted.at(-1)}`);
+      if (applied.length) console.log(`Applied migration(s) ${applied.join(", ")}`);
+      for (const r of repairs) {
+        console.warn(
+          `Migration ${r.version} changed ${r.table_name} ${r.row_id} ${r.column_name} from ${JSON.stringify(r.old_value)} ` +
+          `to ${JSON.stringify(r.new_value)}: ${r.reason}`
+        );
+      }
+      console.log(`Database initialized at ${this.#dbPath} (schema version ${version})`);
+    }
     return this.#connection;
   }
 
+  /**
+   * Migration runner for this database and the files in backend/migrations
+   */
+  migrations() {
+    return new MigrationRunner(this.getConnection(), this.#migrationsPath);
+  }
+
   /**
    * Get the database instance
    */
@@ -70,21 +96,37 @@ class DatabaseConnection {
   }
 }
 
-// Singleton instance
-let dbInstance = new DatabaseConnection();
-
-export function initDatabase() {
-  return dbInstance.initialize();
-}
-
-export function getDatabase() {
-  return dbInstance.getConnection();
-}
-
-export function closeDatabase() {
-  dbInstance.close();
+// Functions over one DatabaseConnection. dbPath is the file initDatabase opens when it is not given one,
+// falling back to DB_PATH and then data/train_network.db
+function connectionFunctions(dbInstance, dbPath) {
+  return {
+    initDatabase(options = {}) {
+      return dbInstance.initialize({ ...options, dbPath: options.dbPath ?? dbPath ?? process.env.DB_PATH ?? DEFAULT_DB_PATH });
+    },
+
+    getDatabase() {
+      return dbInstance.getConnection();
+    },
+
+    closeDatabase() {
+      dbInstance.close();
+    },
+
+    getMigrationRunner() {
+      return dbInstance.migrations();
+    },
+
+    /**
+     * Run fn inside a single SQLite transaction (nested calls become savepoints)
+     */
+    runInTransaction(fn) {
+      return dbInstance.getConnection().transaction(fn)();
+    },
+  };
 }
 
+// Seats per class when a route does not specify its own capacity (mirrors the routes column defaults)
+const DEFAULT_CAPACITY = { first: 50, second: 250 };
 
 /**
  * RouteRepository class handles all route-related database operations
@@ -112,8 +154,9 @@ class RouteRepository {
     const stmt = db.prepare(`
       INSERT INTO routes (
         route_id, departure_city, arrival_city, departure_time, arrival_time,
-        train_type, days_of_operation, first_class_price, second_class_price
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        train_type, days_of_operation, first_class_price, second_class_price,
+        first_class_capacity, second_class_capacity
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     stmt.run(
@@ -125,7 +168,9 @@ class RouteRepository {
       route.trainType || "",
       route.days.join(","),
       route.price.first,
-      route.price.second
+      route.price.second,
+      route.capacity?.first ?? DEFAULT_CAPACITY.first,
+      route.capacity?.second ?? DEFAULT_CAPACITY.second
     );
   }
 
@@ -137,8 +182,9 @@ class RouteRepository {
     const insert = db.prepare(`
       INSERT INTO routes (
         route_id, departure_city, arrival_city, departure_time, arrival_time,
-        train_type, days_of_operation, first_class_price, second_class_price
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        train_type, days_of_operation, first_class_price, second_class_price,
+        first_class_capacity, second_class_capacity
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const insertMany = db.transaction((routes) => {
@@ -152,7 +198,9 @@ class RouteRepository {
           route.trainType || "",
           route.days.join(","),
           route.price.first,
-          route.price.second
+          route.price.second,
+          route.capacity?.first ?? DEFAULT_CAPACITY.first,
+          route.capacity?.second ?? DEFAULT_CAPACITY.second
         );
       }
     });
@@ -161,15 +209,108 @@ class RouteRepository {
   }
 
   /**
-   * Get all routes from the database
+   * Get all active routes from the database
    */
   getAll() {
     const db = this.#dbConnection.getConnection();
-    const rows = db.prepare("SELECT * FROM routes").all();
+    const rows = db.prepare("SELECT * FROM routes WHERE status = 'active'").all();
 
     return rows.map(row => this.#mapRowToRoute(row));
   }
 
+  /**
+   * List routes for administration, optionally filtered by status and cities
+   */
+  list({ status, from, to } = {}) {
+    const db = this.#dbConnection.getConnection();
+    const conditions = [];
+    const params = [];
+    if (status) { conditions.push("status = ?"); params.push(status); }
+    if (from) { conditions.push("LOWER(departure_city) = LOWER(?)"); params.push(from); }
+    if (to) { conditions.push("LOWER(arrival_city) = LOWER(?)"); params.push(to); }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    const rows = db.prepare(`SELECT * FROM routes ${where} ORDER BY route_id`).all(...params);
+
+    return rows.map(row => this.#mapRowToRoute(row));
+  }
+
+  /**
+   * Get a single route (active or retired) by its ID
+   */
+  getById(routeId) {
+    const db = this.#dbConnection.getConnection();
+    const row = db.prepare("SELECT * FROM routes WHERE route_id = ?").get(routeId);
+    return row ? this.#mapRowToRoute(row) : null;
+  }
+
+  /**
+   * Overwrite the timetable, price and capacity fields of a route
+   */
+  update(route) {
+    const db = this.#dbConnection.getConnection();
+    db.prepare(`
+      UPDATE routes
+      SET departure_city = ?, arrival_city = ?, departure_time = ?, arrival_time = ?,
+          train_type = ?, days_of_operation = ?, first_class_price = ?, second_class_price = ?,
+          first_class_capacity = ?, second_class_capacity = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE route_id = ?
+    `).run(
+      route.from,
+      route.arriveCity,
+      route.departTime,
+      route.arriveTime,
+      route.trainType || "",
+      route.days.join(","),
+      route.price.first,
+      route.price.second,
+      route.capacity?.first ?? DEFAULT_CAPACITY.first,
+      route.capacity?.second ?? DEFAULT_CAPACITY.second,
+      route.routeId
+    );
+  }
+
+  /**
+   * Take a route out of service while keeping it for the trips that reference it
+   */
+  retire(routeId) {
+    const db = this.#dbConnection.getConnection();
+    db.prepare(`
+      UPDATE routes SET status = 'retired', retired_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE route_id = ? AND status <> 'retired'
+    `).run(routeId);
+  }
+
+  /**
+   * Put a retired route back into service
+   */
+  reactivate(routeId) {
+    const db = this.#dbConnection.getConnection();
+    db.prepare(`
+      UPDATE routes SET status = 'active', retired_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE route_id = ? AND status = 'retired'
+    `).run(routeId);
+  }
+
+  /**
+   * Whether any booked trip segment uses the route
+   */
+  isReferenced(routeId) {
+    const db = this.#dbConnection.getConnection();
+    return !!db.prepare("SELECT 1 FROM trip_segments WHERE route_id = ? LIMIT 1").get(routeId);
+  }
+
+  /**
+   * Delete a route that no trip references, with its (empty) seat inventory
+   */
+  delete(routeId) {
+    const db = this.#dbConnection.getConnection();
+    db.transaction(() => {
+      db.prepare("DELETE FROM seat_inventory WHERE route_id = ?").run(routeId);
+      db.prepare("DELETE FROM routes WHERE route_id = ?").run(routeId);
+    })();
+  }
+
   /**
    * Get routes departing from a specific city
    */
@@ -204,36 +345,200 @@ class RouteRepository {
       price: {
         first: row.first_class_price,
         second: row.second_class_price
-      }
+      },
+      capacity: {
+        first: row.first_class_capacity,
+        second: row.second_class_capacity
+      },
+      status: row.status
     };
   }
 }
 
-// Repository instance
-let routeRepository = new RouteRepository(dbInstance);
-
-export function clearRoutes() {
-  routeRepository.clear();
+// Functions over a RouteRepository, gathered by createDatabase
+function routeFunctions(routeRepository) {
+  return {
+    clearRoutes() {
+      routeRepository.clear();
+    },
+
+    insertRoute(route) {
+      routeRepository.insert(route);
+    },
+
+    insertRoutesBatch(routes) {
+      routeRepository.insertBatch(routes);
+    },
+
+    getAllRoutes() {
+      return routeRepository.getAll();
+    },
+
+    getRoutesByDepartureCity(city) {
+      return routeRepository.getByDepartureCity(city);
+    },
+
+    countRoutes() {
+      return routeRepository.count();
+    },
+
+    listRoutes(filters) {
+      return routeRepository.list(filters);
+    },
+
+    getRouteById(routeId) {
+      return routeRepository.getById(routeId);
+    },
+
+    updateRoute(route) {
+      routeRepository.update(route);
+    },
+
+    retireRoute(routeId) {
+      routeRepository.retire(routeId);
+    },
+
+    reactivateRoute(routeId) {
+      routeRepository.reactivate(routeId);
+    },
+
+    isRouteReferenced(routeId) {
+      return routeRepository.isReferenced(routeId);
+    },
+
+    deleteRoute(routeId) {
+      routeRepository.delete(routeId);
+    },
+  };
 }
 
-export function insertRoute(route) {
-  routeRepository.insert(route);
-}
 
-export function insertRoutesBatch(routes) {
-  routeRepository.insertBatch(routes);
-}
+/**
+ * StationRepository class handles the stations served by the network and their transfer rules
+ */
+class StationRepository {
+  #dbConnection;
 
-export function getAllRoutes() {
-  return routeRepository.getAll();
-}
+  constructor(dbConnection) {
+    this.#dbConnection = dbConnection;
+  }
+
+  /**
+   * Add a station row for every city that appears in routes
+   */
+  syncFromRoutes() {
+    const db = this.#dbConnection.getConnection();
+    db.prepare(`
+      INSERT OR IGNORE INTO stations (city)
+      SELECT departure_city FROM routes
+      UNION
+      SELECT arrival_city FROM routes
+    `).run();
+  }
+
+  /**
+   * Replace every station's minimum transfer time with the given { city: minutes } map;
+   * stations left out fall back to the default transfer time
+   */
+  setMinTransfers(minutesByCity) {
+    const db = this.#dbConnection.getConnection();
+    const clear = db.prepare("UPDATE stations SET min_transfer_minutes = NULL WHERE min_transfer_minutes IS NOT NULL");
+    const set = db.prepare("UPDATE stations SET min_transfer_minutes = ? WHERE city = ?");
+    db.transaction(() => {
+      clear.run();
+      for (const [city, minutes] of Object.entries(minutesByCity)) set.run(minutes, city);
+    })();
+  }
 
-export function getRoutesByDepartureCity(city) {
-  return routeRepository.getByDepartureCity(city);
+  /**
+   * Store a station's coordinates (used for GTFS stops)
+   */
+  setLocation(city, latitude, longitude) {
+    const db = this.#dbConnection.getConnection();
+    db.prepare("UPDATE stations SET latitude = ?, longitude = ? WHERE city = ?").run(latitude, longitude, city);
+  }
+
+  /**
+   * Store a station's coordinates unless it already has some (e.g. from a GTFS import)
+   */
+  fillLocation(city, latitude, longitude) {
+    const db = this.#dbConnection.getConnection();
+    db.prepare(`
+      UPDATE stations SET latitude = ?, longitude = ?
+      WHERE city = ? AND (latitude IS NULL OR longitude IS NULL)
+    `).run(latitude, longitude, city);
+  }
+
+  /**
+   * Add alternative names for a station (e.g. { de: ["München"] }); stations that do not exist are skipped
+   */
+  addAliases(city, aliasesByLanguage) {
+    const db = this.#dbConnection.getConnection();
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO station_aliases (city, alias, language)
+      SELECT city, ?, ? FROM stations WHERE city = ?
+    `);
+    db.transaction(() => {
+      for (const [language, aliases] of Object.entries(aliasesByLanguage)) {
+        for (const alias of aliases) insert.run(alias, language || null, city);
+      }
+    })();
+  }
+
+  /**
+   * Get every station alias
+   */
+  getAliases() {
+    const db = this.#dbConnection.getConnection();
+    return db.prepare("SELECT city, alias, language FROM station_aliases ORDER BY city, alias").all();
+  }
+
+  /**
+   * Get all stations
+   */
+  getAll() {
+    const db = this.#dbConnection.getConnection();
+    return db.prepare("SELECT city, min_transfer_minutes, latitude, longitude FROM stations ORDER BY city").all()
+      .map(row => ({
+        city: row.city,
+        minTransferMinutes: row.min_transfer_minutes,
+        latitude: row.latitude,
+        longitude: row.longitude,
+      }));
+  }
 }
 
-export function countRoutes() {
-  return routeRepository.count();
+// Functions over a StationRepository, gathered by createDatabase
+function stationFunctions(stationRepository) {
+  return {
+    syncStations() {
+      stationRepository.syncFromRoutes();
+    },
+
+    setStationMinTransfers(minutesByCity) {
+      stationRepository.setMinTransfers(minutesByCity);
+    },
+
+    setStationLocation(city, latitude, longitude) {
+      stationRepository.setLocation(city, latitude, longitude);
+    },
+
+    fillStationLocation(city, latitude, longitude) {
+      stationRepository.fillLocation(city, latitude, longitude);
+    },
+
+    addStationAliases(city, aliasesByLanguage) {
+      stationRepository.addAliases(city, aliasesByLanguage);
+    },
+
+    getStationAliases() {
+      return stationRepository.getAliases();
+    },
+
+    getAllStations() {
+      return stationRepository.getAll();
+    },
+  };
 }
 
 
@@ -250,16 +555,21 @@ class TripRepository {
   /**
    * Create a new trip and return the trip_id
    */
-  create(connection) {
+  create(connection, { userId = null, bookingReference = null, holdExpiresAt = null } = {}) {
     const db = this.#dbConnection.getConnection();
 
     const insertTrip = db.prepare(`
-      INSERT INTO trips (connection_summary, total_duration_minutes, first_class_total, second_class_total)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO trips (user_id, booking_reference, hold_expires_at, trip_type, connection_summary, travel_date, total_duration_minutes, first_class_total, second_class_total)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const result = insertTrip.run(
+      userId,
+      bookingReference,
+      holdExpiresAt,
+      connection.tripType || "one-way",
       connection.connectionSummary || "",
+      connection.travelDate || null,
       connection.totalDurationMinutes || 0,
       connection.totalPrice?.first || 0,
       connection.totalPrice?.second || 0
@@ -269,38 +579,310 @@ class TripRepository {
   }
 
   /**
-   * Get trips by passenger last name and ID number
+   * Get the trips booked by an account, newest travel date first
    */
-  getByPassenger(lastName, idNumber) {
+  getByUser(userId) {
     const db = this.#dbConnection.getConnection();
+    return db.prepare(`
+      SELECT * FROM trips
+      WHERE user_id = ?
+      ORDER BY COALESCE(travel_date, DATE(created_at)) DESC, created_at DESC
+    `).all(userId);
+  }
 
-    const stmt = db.prepare(`
-      SELECT DISTINCT
-        t.trip_id,
-        t.connection_summary,
-        t.total_duration_minutes,
-        t.first_class_total,
-        t.second_class_total,
-        t.created_at
-      FROM trips t
-      INNER JOIN reservations r ON t.trip_id = r.trip_id
-      WHERE LOWER(r.last_name) = LOWER(?) AND LOWER(r.id_number) = LOWER(?)
+  /**
+   * Get a trip by its booking reference
+   */
+  getByReference(bookingReference) {
+    const db = this.#dbConnection.getConnection();
+    return db.prepare("SELECT * FROM trips WHERE booking_reference = ?").get(bookingReference);
+  }
+
+  /**
+   * Trips from before booking references existed that have a traveller with this last name and ID number
+   */
+  getLegacyByTraveller(lastName, idNumber) {
+    const db = this.#dbConnection.getConnection();
+    return db.prepare(`
+      SELECT DISTINCT t.* FROM trips t
+      JOIN reservations r ON r.trip_id = t.trip_id
+      WHERE t.booking_reference IS NULL
+        AND r.last_name = ? COLLATE NOCASE AND r.id_number = ? COLLATE NOCASE
       ORDER BY t.created_at DESC
+    `).all(lastName, idNumber);
+  }
+
+  /**
+   * Get a single trip by its ID
+   */
+  getById(tripId) {
+    const db = this.#dbConnection.getConnection();
+    return db.prepare("SELECT * FROM trips WHERE trip_id = ?").get(tripId);
+  }
+
+  /**
+   * Replace the itinerary details of a trip after it was changed
+   */
+  updateItinerary(tripId, connection) {
+    const db = this.#dbConnection.getConnection();
+    db.prepare(`
+      UPDATE trips
+      SET connection_summary = ?, travel_date = ?, total_duration_minutes = ?,
+          first_class_total = ?, second_class_total = ?, modified_at = CURRENT_TIMESTAMP
+      WHERE trip_id = ?
+    `).run(
+      connection.connectionSummary || "",
+      connection.travelDate || null,
+      connection.totalDurationMinutes || 0,
+      connection.totalPrice?.first || 0,
+      connection.totalPrice?.second || 0,
+      tripId
+    );
+  }
+
+  /**
+   * Store the journeys of a trip (one per itinerary booked together), replacing any saved before
+   */
+  saveJourneys(tripId, journeys) {
+    const db = this.#dbConnection.getConnection();
+    const insert = db.prepare(`
+      INSERT INTO trip_journeys (trip_id, journey_order, connection_summary, travel_date, total_duration_minutes, first_class_total, second_class_total)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `);
 
-    return stmt.all(lastName, idNumber);
+    db.transaction(() => {
+      db.prepare("DELETE FROM trip_journeys WHERE trip_id = ?").run(tripId);
+      journeys.forEach((journey, index) => {
+        insert.run(
+          tripId,
+          index + 1,
+          journey.connectionSummary || "",
+          journey.travelDate || null,
+          journey.totalDurationMinutes || 0,
+          journey.totalPrice?.first || 0,
+          journey.totalPrice?.second || 0
+        );
+      });
+    })();
+  }
+
+  /**
+   * Get the journeys of a trip in travel order
+   */
+  getJourneys(tripId) {
+    const db = this.#dbConnection.getConnection();
+    return db.prepare("SELECT * FROM trip_journeys WHERE trip_id = ? ORDER BY journey_order").all(tripId);
   }
+
+  /**
+   * Get the held trips whose hold ran out at or before now (an ISO timestamp)
+   */
+  getExpiredHolds(now) {
+    const db = this.#dbConnection.getConnection();
+    return db.prepare("SELECT * FROM trips WHERE status = 'held' AND hold_expires_at <= ?").all(now);
+  }
+
+  /**
+   * Get ticketed trips that started travelling on or before a date
+   */
+  getTicketedBy(travelDate) {
+    const db = this.#dbConnection.getConnection();
+    return db.prepare("SELECT * FROM trips WHERE status = 'ticketed' AND travel_date <= ?").all(travelDate);
+  }
+}
+
+// Functions over a TripRepository, gathered by createDatabase
+function tripFunctions(tripRepository) {
+  return {
+    createTrip(connection, owner) {
+      return tripRepository.create(connection, owner);
+    },
+
+    getTripsByUser(userId) {
+      return tripRepository.getByUser(userId);
+    },
+
+    getTripByReference(bookingReference) {
+      return tripRepository.getByReference(bookingReference);
+    },
+
+    getLegacyTripsByTraveller(lastName, idNumber) {
+      return tripRepository.getLegacyByTraveller(lastName, idNumber);
+    },
+
+    getTripById(tripId) {
+      return tripRepository.getById(tripId);
+    },
+
+    updateTripItinerary(tripId, connection) {
+      tripRepository.updateItinerary(tripId, connection);
+    },
+
+    saveTripJourneys(tripId, journeys) {
+      tripRepository.saveJourneys(tripId, journeys);
+    },
+
+    getTripJourneys(tripId) {
+      return tripRepository.getJourneys(tripId);
+    },
+
+    getExpiredHolds(now) {
+      return tripRepository.getExpiredHolds(now);
+    },
+
+    getTicketedTripsBy(travelDate) {
+      return tripRepository.getTicketedBy(travelDate);
+    },
+  };
 }
 
-// Repository instance
-let tripRepository = new TripRepository(dbInstance);
 
-export function createTrip(connection) {
-  return tripRepository.create(connection);
+/**
+ * UserRepository class handles passenger accounts and their sessions
+ */
+class UserRepository {
+  #dbConnection;
+
+  constructor(dbConnection) {
+    this.#dbConnection = dbConnection;
+  }
+
+  /**
+   * Create an account and return the user_id
+   */
+  create({ email, passwordHash, name }) {
+    const db = this.#dbConnection.getConnection();
+    const result = db.prepare(`
+      INSERT INTO users (email, password_hash, name)
+      VALUES (?, ?, ?)
+    `).run(email, passwordHash, name || null);
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Get an account by email (case-insensitive)
+   */
+  getByEmail(email) {
+    const db = this.#dbConnection.getConnection();
+    return db.prepare("SELECT * FROM users WHERE email = ?").get(email);
+  }
+
+  /**
+   * Start a session that lasts until expiresAt (an ISO timestamp)
+   */
+  createSession(userId, tokenHash, expiresAt) {
+    const db = this.#dbConnection.getConnection();
+    db.prepare(`
+      INSERT INTO sessions (token_hash, user_id, expires_at)
+      VALUES (?, ?, ?)
+    `).run(tokenHash, userId, expiresAt);
+  }
+
+  /**
+   * Get the account behind a session that has not expired yet
+   */
+  getBySession(tokenHash) {
+    const db = this.#dbConnection.getConnection();
+    return db.prepare(`
+      SELECT u.user_id, u.email, u.name, u.created_at
+      FROM sessions s
+      INNER JOIN users u ON s.user_id = u.user_id
+      WHERE s.token_hash = ? AND s.expires_at > ?
+    `).get(tokenHash, new Date().toISOString());
+  }
+
+  /**
+   * End a session
+   */
+  deleteSession(tokenHash) {
+    const db = this.#dbConnection.getConnection();
+    db.prepare("DELETE FROM sessions WHERE token_hash = ?").run(tokenHash);
+  }
+
+  /**
+   * Remove sessions past their expiry
+   */
+  deleteExpiredSessions() {
+    const db = this.#dbConnection.getConnection();
+    return db.prepare("DELETE FROM sessions WHERE expires_at <= ?").run(new Date().toISOString()).changes;
+  }
+}
+
+// Functions over a UserRepository, gathered by createDatabase
+function userFunctions(userRepository) {
+  return {
+    createUser(user) {
+      return userRepository.create(user);
+    },
+
+    getUserByEmail(email) {
+      return userRepository.getByEmail(email);
+    },
+
+    createSession(userId, tokenHash, expiresAt) {
+      userRepository.createSession(userId, tokenHash, expiresAt);
+    },
+
+    getUserBySession(tokenHash) {
+      return userRepository.getBySession(tokenHash);
+    },
+
+    deleteSession(tokenHash) {
+      userRepository.deleteSession(tokenHash);
+    },
+
+    deleteExpiredSessions() {
+      return userRepository.deleteExpiredSessions();
+    },
+  };
+}
+
+
+/**
+ * IdempotencyRepository class keeps the responses to requests sent with an Idempotency-Key
+ */
+class IdempotencyRepository {
+  #dbConnection;
+
+  constructor(dbConnection) {
+    this.#dbConnection = dbConnection;
+  }
+
+  /**
+   * Get the stored response for a key that has not expired yet
+   */
+  get(key) {
+    const db = this.#dbConnection.getConnection();
+    return db.prepare("SELECT * FROM idempotency_keys WHERE idempotency_key = ? AND expires_at > ?")
+      .get(key, new Date().toISOString());
+  }
+
+  /**
+   * Store the response to a request until expiresAt (an ISO timestamp), dropping expired keys
+   */
+  save({ key, requestHash, statusCode, responseBody, expiresAt }) {
+    const db = this.#dbConnection.getConnection();
+    db.transaction(() => {
+      db.prepare("DELETE FROM idempotency_keys WHERE expires_at <= ?").run(new Date().toISOString());
+      db.prepare(`
+        INSERT OR REPLACE INTO idempotency_keys (idempotency_key, request_hash, status_code, response_body, expires_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(key, requestHash, statusCode, responseBody, expiresAt);
+    })();
+  }
 }
 
-export function getTripsByPassenger(lastName, idNumber) {
-  return tripRepository.getByPassenger(lastName, idNumber);
+// Functions over a IdempotencyRepository, gathered by createDatabase
+function idempotencyFunctions(idempotencyRepository) {
+  return {
+    getIdempotentResponse(key) {
+      return idempotencyRepository.get(key);
+    },
+
+    saveIdempotentResponse(response) {
+      idempotencyRepository.save(response);
+    },
+  };
 }
 
 
@@ -320,8 +902,8 @@ class SegmentRepository {
   insertBatch(tripId, segments, transferTimes) {
     const db = this.#dbConnection.getConnection();
     const stmt = db.prepare(`
-      INSERT INTO trip_segments (trip_id, segment_order, route_id, layover_after_minutes)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO trip_segments (trip_id, segment_order, journey_order, route_id, travel_date, layover_after_minutes)
+      VALUES (?, ?, ?, ?, ?, ?)
     `);
 
     const insertMany = db.transaction((tripId, segments, transferTimes) => {
@@ -329,7 +911,9 @@ class SegmentRepository {
         stmt.run(
           tripId,
           index,
+          seg.journeyOrder ?? 1,
           seg.routeId,
+          seg.travelDate || null,
           transferTimes[index] || 0
         );
       });
@@ -338,6 +922,14 @@ class SegmentRepository {
     insertMany(tripId, segments, transferTimes);
   }
 
+  /**
+   * Remove all segments of a trip
+   */
+  deleteByTripId(tripId) {
+    const db = this.#dbConnection.getConnection();
+    db.prepare("DELETE FROM trip_segments WHERE trip_id = ?").run(tripId);
+  }
+
   /**
    * Get trip segments for a trip
    */
@@ -347,6 +939,8 @@ class SegmentRepository {
     const stmt = db.prepare(`
       SELECT
         ts.segment_order,
+        ts.journey_order,
+        ts.travel_date,
         ts.layover_after_minutes,
         r.*
       FROM trip_segments ts
@@ -369,20 +963,127 @@ class SegmentRepository {
         first: row.first_class_price,
         second: row.second_class_price
       },
+      travelDate: row.travel_date,
+      journeyOrder: row.journey_order,
       layoverAfter: row.layover_after_minutes
     }));
   }
 }
 
-// Repository instance
-let segmentRepository = new SegmentRepository(dbInstance);
+// Functions over a SegmentRepository, gathered by createDatabase
+function segmentFunctions(segmentRepository) {
+  return {
+    insertTripSegments(tripId, segments, transferTimes) {
+      segmentRepository.insertBatch(tripId, segments, transferTimes);
+    },
+
+    getTripSegments(tripId) {
+      return segmentRepository.getByTripId(tripId);
+    },
+
+    deleteTripSegments(tripId) {
+      segmentRepository.deleteByTripId(tripId);
+    },
+  };
+}
+
+/**
+ * InventoryRepository class tracks seats sold per route, travel date and class
+ */
+class InventoryRepository {
+  #dbConnection;
+
+  constructor(dbConnection) {
+    this.#dbConnection = dbConnection;
+  }
+
+  /**
+   * Get the seats still available in each class for a route on a date
+   */
+  getAvailability(routeId, travelDate) {
+    const db = this.#dbConnection.getConnection();
+    const row = db.prepare(`
+      SELECT
+        r.first_class_capacity - COALESCE(SUM(CASE WHEN i.seat_class = 'first' THEN i.seats_sold END), 0) AS first,
+        r.second_class_capacity - COALESCE(SUM(CASE WHEN i.seat_class = 'second' THEN i.seats_sold END), 0) AS second
+      FROM routes r
+      LEFT JOIN seat_inventory i ON i.route_id = r.route_id AND i.travel_date = ?
+      WHERE r.route_id = ?
+      GROUP BY r.route_id
+    `).get(travelDate, routeId);
+
+    return row ? { first: Math.max(0, row.first), second: Math.max(0, row.second) } : null;
+  }
+
+  /**
+   * Take `count` seats of a class on every leg in one transaction.
+   * Throws a ConflictError (and takes nothing) if any leg lacks the seats.
+   */
+  reserve(legs, seatClass, count) {
+    const db = this.#dbConnection.getConnection();
+    const ensureRow = db.prepare(`
+      INSERT OR IGNORE INTO seat_inventory (route_id, travel_date, seat_class, seats_sold)
+      VALUES (?, ?, ?, 0)
+    `);
+    const take = db.prepare(`
+      UPDATE seat_inventory
+      SET seats_sold = seats_sold + @count
+      WHERE route_id = @routeId AND travel_date = @travelDate AND seat_class = @seatClass
+        AND seats_sold + @count <= (
+          SELECT CASE @seatClass WHEN 'first' THEN first_class_capacity ELSE second_class_capacity END
+          FROM routes WHERE route_id = @routeId
+        )
+    `);
+
+    const reserveAll = db.transaction((legs) => {
+      for (const { routeId, travelDate } of legs) {
+        ensureRow.run(routeId, travelDate, seatClass);
+        const result = take.run({ routeId, travelDate, seatClass, count });
+        if (result.changes === 0) {
+          throw new ConflictError(`Not enough ${seatClass} class seats left on ${routeId} for ${travelDate}.`);
+        }
+      }
+    });
+
+    reserveAll(legs);
+  }
 
-export function insertTripSegments(tripId, segments, transferTimes) {
-  segmentRepository.insertBatch(tripId, segments, transferTimes);
+  /**
+   * Give back `count` seats of a class on every leg
+   */
+  release(legs, seatClass, count) {
+    const db = this.#dbConnection.getConnection();
+    const giveBack = db.prepare(`
+      UPDATE seat_inventory
+      SET seats_sold = MAX(0, seats_sold - ?)
+      WHERE route_id = ? AND travel_date = ? AND seat_class = ?
+    `);
+
+    const releaseAll = db.transaction((legs) => {
+      for (const { routeId, travelDate } of legs) {
+        giveBack.run(count, routeId, travelDate, seatClass);
+      }
+    });
+
+    releaseAll(legs);
+  }
 }
 
-export function getTripSegments(tripId) {
-  return segmentRepository.getByTripId(tripId);
+// Functions over a InventoryRepository, gathered by createDatabase
+function inventoryFunctions(inventoryRepository) {
+  return {
+    getSeatAvailability(routeId, travelDate) {
+      return inventoryRepository.getAvailability(routeId, travelDate);
+    },
+
+    reserveSeats(legs, seatClass, count) {
+      inventoryRepository.reserve(legs, seatClass, count);
+    },
+
+    releaseSeats(legs, seatClass, count) {
+      inventoryRepository.release(legs, seatClass, count);
+    },
+  };
 }
 
 /**
@@ -396,24 +1097,51 @@ class ReservationRepository {
   }
 
   /**
-   * Create a reservation for a trip
+   * Create a reservation for a trip together with its ticket, checking the
+   * createReservation pre- and postconditions from OCL_EXPRESSIONS
    */
   create(tripId, traveller) {
     const db = this.#dbConnection.getConnection();
-    const stmt = db.prepare(`
-      INSERT INTO reservations (trip_id, first_name, last_name, age, id_number)
-      VALUES (?, ?, ?, ?, ?)
+    const insert = db.prepare(`
+      INSERT INTO reservations (trip_id, first_name, last_name, age, id_number, seat_class, fare_category, amount)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `);
+    const countReservations = () => db.prepare("SELECT COUNT(*) AS n FROM reservations").get().n;
 
-    const result = stmt.run(
-      tripId,
-      traveller.firstName,
-      traveller.lastName,
-      traveller.age || 0,
-      traveller.idNumber
-    );
+    return db.transaction(() => {
+      const tripExists = Boolean(db.prepare("SELECT 1 FROM trips WHERE trip_id = ?").get(tripId));
+      const existingIds = db.prepare("SELECT id_number FROM reservations WHERE trip_id = ?").pluck().all(tripId);
+      assertRules(reservationPreconditions(tripId, traveller, { tripExists, existingIds }));
 
-    return result.lastInsertRowid;
+      const countBefore = countReservations();
+      let reservationId;
+      try {
+        reservationId = insert.run(
+          tripId,
+          traveller.firstName,
+          traveller.lastName,
+          traveller.age,
+          traveller.idNumber,
+          traveller.seatClass || "second",
+          traveller.fareCategory ?? null,
+          traveller.amount ?? null
+        ).lastInsertRowid;
+        this.createTicket(reservationId);
+      } catch (err) {
+        throw constraintViolation(err) || err;
+      }
+
+      // Read the rows back; a failure here rolls the reservation and its ticket back
+      assertRules(reservationPostconditions(tripId, traveller, reservationId, {
+        countBefore,
+        countAfter: countReservations(),
+        stored: db.prepare("SELECT * FROM reservations WHERE reservation_id = ?").get(reservationId),
+        matches: db.prepare("SELECT COUNT(*) AS n FROM reservations WHERE reservation_id = ?").get(reservationId).n,
+        ticketCount: db.prepare("SELECT COUNT(*) AS n FROM tickets WHERE reservation_id = ?").get(reservationId).n,
+      }), InvariantError);
+
+      return reservationId;
+    })();
   }
 
   /**
@@ -430,6 +1158,74 @@ class ReservationRepository {
     return result.lastInsertRowid;
   }
 
+  /**
+   * Get a ticket with the reservation and trip it belongs to
+   */
+  getTicket(ticketId) {
+    const db = this.#dbConnection.getConnection();
+    return db.prepare(`
+      SELECT
+        t.ticket_id,
+        t.status AS ticket_status,
+        t.issued_at,
+        r.reservation_id,
+        r.trip_id,
+        r.first_name,
+        r.last_name,
+        r.age,
+        r.id_number,
+        r.seat_class,
+        r.fare_category,
+        r.amount,
+        r.status,
+        tr.status AS trip_status
+      FROM tickets t
+      INNER JOIN reservations r ON t.reservation_id = r.reservation_id
+      INNER JOIN trips tr ON r.trip_id = tr.trip_id
+      WHERE t.ticket_id = ?
+    `).get(ticketId);
+  }
+
+  /**
+   * Record that a ticket was checked on one segment of its trip; returns false when it already was
+   */
+  recordScan(ticketId, segmentOrder, routeId, travelDate) {
+    const db = this.#dbConnection.getConnection();
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO ticket_scans (ticket_id, segment_order, route_id, travel_date)
+      VALUES (?, ?, ?, ?)
+    `).run(ticketId, segmentOrder, routeId, travelDate || null);
+    return result.changes > 0;
+  }
+
+  /**
+   * Get the segments a ticket was scanned on
+   */
+  getScans(ticketId) {
+    const db = this.#dbConnection.getConnection();
+    return db.prepare(`
+      SELECT segment_order, route_id, travel_date, scanned_at
+      FROM ticket_scans
+      WHERE ticket_id = ?
+      ORDER BY segment_order
+    `).all(ticketId);
+  }
+
+  /**
+   * Forget the scans of every ticket on a trip, once its segments have been replaced
+   */
+  clearScans(tripId) {
+    const db = this.#dbConnection.getConnection();
+    db.prepare(`
+      DELETE FROM ticket_scans
+      WHERE ticket_id IN (
+        SELECT t.ticket_id FROM tickets t
+        INNER JOIN reservations r ON t.reservation_id = r.reservation_id
+        WHERE r.trip_id = ?
+      )
+    `).run(tripId);
+  }
+
   /**
    * Get all reservations for a trip
    */
@@ -439,11 +1235,20 @@ class ReservationRepository {
     const stmt = db.prepare(`
       SELECT
         r.reservation_id,
+        r.trip_id,
         r.first_name,
         r.last_name,
         r.age,
         r.id_number,
-        t.ticket_id
+        r.seat_class,
+        r.fare_category,
+        r.amount,
+        r.status,
+        r.refund_amount,
+        r.created_at,
+        r.cancelled_at,
+        t.ticket_id,
+        t.status AS ticket_status
       FROM reservations r
       LEFT JOIN tickets t ON r.reservation_id = t.reservation_id
       WHERE r.trip_id = ?
@@ -452,43 +1257,183 @@ class ReservationRepository {
 
     return stmt.all(tripId);
   }
-}
 
-// Repository instance
-let reservationRepository = new ReservationRepository(dbInstance);
+  /**
+   * Store a reservation's new fare after its trip was moved to another itinerary
+   */
+  updateAmount(reservationId, amount) {
+    const db = this.#dbConnection.getConnection();
+    db.prepare("UPDATE reservations SET amount = ? WHERE reservation_id = ?").run(amount, reservationId);
+  }
 
-export function createReservation(tripId, traveller) {
-  return reservationRepository.create(tripId, traveller);
+  /**
+   * Record the refund of a cancelled reservation
+   */
+  setRefund(reservationId, refundAmount) {
+    const db = this.#dbConnection.getConnection();
+    db.prepare("UPDATE reservations SET refund_amount = ? WHERE reservation_id = ?").run(refundAmount, reservationId);
+  }
+}
+
+// Functions over a ReservationRepository, gathered by createDatabase
+function reservationFunctions(reservationRepository) {
+  return {
+    createReservation(tripId, traveller) {
+      return reservationRepository.create(tripId, traveller);
+    },
+
+    createTicket(reservationId) {
+      return reservationRepository.createTicket(reservationId);
+    },
+
+    getTicket(ticketId) {
+      return reservationRepository.getTicket(ticketId);
+    },
+
+    recordTicketScan(ticketId, segmentOrder, routeId, travelDate) {
+      return reservationRepository.recordScan(ticketId, segmentOrder, routeId, travelDate);
+    },
+
+    getTicketScans(ticketId) {
+      return reservationRepository.getScans(ticketId);
+    },
+
+    clearTicketScans(tripId) {
+      reservationRepository.clearScans(tripId);
+    },
+
+    getReservationsByTrip(tripId) {
+      return reservationRepository.getByTripId(tripId);
+    },
+
+    updateReservationAmount(reservationId, amount) {
+      reservationRepository.updateAmount(reservationId, amount);
+    },
+
+    setReservationRefund(reservationId, refundAmount) {
+      reservationRepository.setRefund(reservationId, refundAmount);
+    },
+  };
 }
 
-export function createTicket(reservationId) {
-  return reservationRepository.createTicket(reservationId);
+
+/**
+ * BookingStateRepository class stores the lifecycle state of trips and reservations
+ * and the history of every transition between states
+ */
+class BookingStateRepository {
+  #dbConnection;
+
+  constructor(dbConnection) {
+    this.#dbConnection = dbConnection;
+  }
+
+  /**
+   * Move a trip (or one of its reservations, when reservationId is given) from one state to another
+   * and record who did it; a null from records the state a new row was created in
+   */
+  move({ tripId, reservationId = null, from = null, to, actor, reason = null }) {
+    const db = this.#dbConnection.getConnection();
+    const [table, key, id] = reservationId == null
+      ? ["trips", "trip_id", tripId]
+      : ["reservations", "reservation_id", reservationId];
+
+    db.transaction(() => {
+      if (from != null) {
+        const stamp = to === "cancelled" ? ", cancelled_at = CURRENT_TIMESTAMP" : "";
+        const result = db.prepare(`UPDATE ${table} SET status = ?${stamp} WHERE ${key} = ? AND status = ?`).run(to, id, from);
+        if (!result.changes) {
+          throw new ConflictError(`${reservationId == null ? "Trip" : "Reservation"} is no longer ${from}.`);
+        }
+      }
+
+      // A reservation's ticket is issued when it is ticketed and voided when it ends without travelling
+      if (reservationId != null && to === "ticketed") {
+        db.prepare(`
+          UPDATE tickets SET status = 'valid', issued_at = CURRENT_TIMESTAMP
+          WHERE reservation_id = ? AND status = 'pending'
+        `).run(reservationId);
+      } else if (reservationId != null && (to === "cancelled" || to === "expired")) {
+        db.prepare(`
+          UPDATE tickets SET status = 'void', voided_at = CURRENT_TIMESTAMP
+          WHERE reservation_id = ? AND status <> 'void'
+        `).run(reservationId);
+      }
+
+      db.prepare(`
+        INSERT INTO booking_transitions (trip_id, reservation_id, from_status, to_status, actor, reason)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(tripId, reservationId, from, to, actor, reason);
+    })();
+  }
+
+  /**
+   * Get the transitions of a trip and its reservations, oldest first
+   */
+  getHistory(tripId) {
+    const db = this.#dbConnection.getConnection();
+    return db.prepare(`
+      SELECT transition_id, reservation_id, from_status, to_status, actor, reason, created_at
+      FROM booking_transitions
+      WHERE trip_id = ?
+      ORDER BY transition_id
+    `).all(tripId);
+  }
 }
 
-export function getReservationsByTrip(tripId) {
-  return reservationRepository.getByTripId(tripId);
+// Functions over a BookingStateRepository, gathered by createDatabase
+function bookingStateFunctions(bookingStateRepository) {
+  return {
+    moveBooking(change) {
+      bookingStateRepository.move(change);
+    },
+
+    getBookingHistory(tripId) {
+      return bookingStateRepository.getHistory(tripId);
+    },
+  };
 }
 
 
-export default {
-  initDatabase,
-  getDatabase,
-  closeDatabase,
-  clearRoutes,
-  insertRoute,
-  insertRoutesBatch,
-  getAllRoutes,
-  getRoutesByDepartureCity,
-  countRoutes,
-  createTrip,
-  insertTripSegments,
-  createReservation,
-  createTicket,
-  getTripsByPassenger,
-  getReservationsByTrip,
-  getTripSegments
-};
+/**
+ * Open a database of its own: a DatabaseConnection with its own repositories, offering the same
+ * functions as this module. createApp makes one per app, so apps on different files can coexist.
+ */
+export function createDatabase(dbPath) {
+  const dbInstance = new DatabaseConnection(dbPath ?? DEFAULT_DB_PATH);
+  return {
+    ...connectionFunctions(dbInstance, dbPath),
+    ...routeFunctions(new RouteRepository(dbInstance)),
+    ...stationFunctions(new StationRepository(dbInstance)),
+    ...tripFunctions(new TripRepository(dbInstance)),
+    ...userFunctions(new UserRepository(dbInstance)),
+    ...idempotencyFunctions(new IdempotencyRepository(dbInstance)),
+    ...segmentFunctions(new SegmentRepository(dbInstance)),
+    ...inventoryFunctions(new InventoryRepository(dbInstance)),
+    ...reservationFunctions(new ReservationRepository(dbInstance)),
+    ...bookingStateFunctions(new BookingStateRepository(dbInstance)),
+  };
+}
+
+// The process-wide database used by the command-line tools and by code that imports these functions
+const defaultDatabase = createDatabase();
+
+export const {
+  initDatabase, getDatabase, closeDatabase, getMigrationRunner, runInTransaction, clearRoutes, insertRoute,
+  insertRoutesBatch, getAllRoutes, getRoutesByDepartureCity, countRoutes, listRoutes, getRouteById,
+  updateRoute, retireRoute, reactivateRoute, isRouteReferenced, deleteRoute, syncStations,
+  setStationMinTransfers, setStationLocation, fillStationLocation, addStationAliases, getStationAliases,
+  getAllStations, createTrip, getTripsByUser, getTripByReference, getLegacyTripsByTraveller, getTripById,
+  updateTripItinerary, saveTripJourneys, getTripJourneys, getExpiredHolds, getTicketedTripsBy, createUser,
+  getUserByEmail, createSession, getUserBySession, deleteSession, deleteExpiredSessions,
+  getIdempotentResponse, saveIdempotentResponse, insertTripSegments, getTripSegments, deleteTripSegments,
+  getSeatAvailability, reserveSeats, releaseSeats, createReservation, createTicket, getTicket,
+  recordTicketScan, getTicketScans, clearTicketScans, getReservationsByTrip, updateReservationAmount,
+  setReservationRefund, moveBooking, getBookingHistory
+} = defaultDatabase;
+
+export default defaultDatabase;
 
 // Export classes for direct use if needed
-export { DatabaseConnection, RouteRepository, TripRepository, SegmentRepository, ReservationRepository };
+export { DatabaseConnection, RouteRepository, StationRepository, TripRepository, UserRepository, SegmentRepository, InventoryRepository, ReservationRepository, BookingStateRepository, IdempotencyRepository };
 
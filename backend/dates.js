@@ -0,0 +1,94 @@
+import { clockMinutes, arrivalDayShift } from "./timetable.js";
+
+const DAY_CODES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+/**
+ * Parse a "YYYY-MM-DD" travel date, returning null when it is not a real calendar date
+ */
+export function parseTravelDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec((value ?? "").toString().trim());
+  if (!match) return null;
+  const [, y, m, d] = match.map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return date;
+}
+
+function formatTravelDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * The calendar date of a moment on the server's clock, as "YYYY-MM-DD"
+ */
+export function localTravelDate(date) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map((p) => String(p).padStart(2, "0")).join("-");
+}
+
+export function addDays(travelDate, days) {
+  const date = parseTravelDate(travelDate);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatTravelDate(date);
+}
+
+export function dayCodeOf(travelDate) {
+  return DAY_CODES[parseTravelDate(travelDate).getUTCDay()];
+}
+
+/**
+ * Combine a travel date and an "HH:MM" clock time into a local Date
+ */
+export function toDateTime(travelDate, time) {
+  const [y, m, d] = travelDate.split("-").map(Number);
+  const [hours, minutes] = (time || "").split(":").map((p) => parseInt(p, 10));
+  return new Date(y, m - 1, d, hours || 0, minutes || 0);
+}
+
+export function shiftDayCode(day, days) {
+  const index = DAY_CODES.indexOf(day);
+  return index === -1 ? day : DAY_CODES[(index + days) % 7];
+}
+
+/**
+ * Days after the start of the journey on which each segment departs and arrives,
+ * rolling forward whenever a ride or a layover passes midnight
+ */
+export function segmentDayOffsets(segments) {
+  const offsets = [];
+  let day = 0;
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    if (i > 0 && clockMinutes(segment.departTime) < clockMinutes(segments[i - 1].arriveTime)) day++;
+    const departOffset = day;
+    day += arrivalDayShift(segment);
+    offsets.push({ departOffset, arriveOffset: day });
+  }
+  return offsets;
+}
+
+/**
+ * Work out the calendar date each segment departs and arrives on, starting from the
+ * travel date of the first segment
+ */
+export function assignSegmentDates(segments, travelDate) {
+  return segmentDayOffsets(segments).map(({ departOffset, arriveOffset }) => ({
+    departDate: addDays(travelDate, departOffset),
+    arriveDate: addDays(travelDate, arriveOffset),
+  }));
+}
+
+/**
+ * Dates for the stored segments of a trip; each journey of a round or multi-city trip
+ * is dated from the travel date of its own first segment
+ */
+export function assignTripDates(segments, fallbackDate) {
+  const dates = [];
+  for (let start = 0; start < segments.length; ) {
+    let end = start + 1;
+    while (end < segments.length && segments[end].journeyOrder === segments[start].journeyOrder) end++;
+    const journey = segments.slice(start, end);
+    dates.push(...assignSegmentDates(journey, journey[0].travelDate || fallbackDate));
+    start = end;
+  }
+  return dates;
+}
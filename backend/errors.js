@@ -0,0 +1,68 @@
+/**
+ * Base class for errors that carry the HTTP status the API should answer with
+ */
+class AppError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+
+/**
+ * Raised when a request conflicts with the current state (e.g. a sold-out train)
+ */
+class ConflictError extends AppError {
+  constructor(message) {
+    super(message, 409);
+  }
+}
+
+/**
+ * Raised when the requested record does not exist (or is not visible to the caller)
+ */
+class NotFoundError extends AppError {
+  constructor(message) {
+    super(message, 404);
+  }
+}
+
+/**
+ * Raised when input breaks one or more rules; details lists each problem
+ */
+class ValidationError extends AppError {
+  constructor(message, details = []) {
+    super(message, 422);
+    this.details = details;
+  }
+}
+
+/**
+ * Raised when a postcondition fails: the input was valid but storing it went wrong
+ */
+class InvariantError extends AppError {
+  constructor(message, details = []) {
+    super(message, 500);
+    this.details = details;
+  }
+}
+
+/**
+ * Raised when a request lacks valid credentials
+ */
+class UnauthorizedError extends AppError {
+  constructor(message = "Authentication required.") {
+    super(message, 401);
+  }
+}
+
+/**
+ * Answer a failed request with the status carried by AppError subclasses (400 otherwise)
+ */
+function sendError(res, err, fallbackMessage) {
+  const body = { error: err.message || fallbackMessage };
+  if (err.details) body.details = err.details;
+  res.status(err instanceof AppError ? err.status : 400).json(body);
+}
+
+export { AppError, ConflictError, NotFoundError, ValidationError, InvariantError, UnauthorizedError, sendError };
@@ -0,0 +1,23 @@
+import * as db from "./database.js";
+import { GtfsExporter } from "./gtfs.js";
+
+/**
+ * Command-line GTFS export: node export-gtfs.js <gtfs.zip | output-dir>
+ */
+const target = process.argv[2];
+
+if (!target) {
+  console.error("Usage: node export-gtfs.js <gtfs.zip | output-dir>");
+  process.exit(1);
+}
+
+try {
+  db.initDatabase();
+  new GtfsExporter().writeTo(target);
+  console.log(`GTFS feed written to ${target}`);
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  db.closeDatabase();
+}
@@ -0,0 +1,91 @@
+export const SEAT_CLASSES = ["first", "second"];
+
+/**
+ * RefundPolicy class decides how much of a fare is refunded on cancellation,
+ * based on the seat class and how many hours before departure it happens
+ */
+export class RefundPolicy {
+  #rules;
+
+  constructor(rules = {}) {
+    this.#rules = new Map(
+      Object.entries(rules).map(([seatClass, tiers]) => [
+        seatClass,
+        [...tiers].sort((a, b) => b.minHoursBeforeDeparture - a.minHoursBeforeDeparture),
+      ])
+    );
+  }
+
+  refundFor(seatClass, pricePaid, hoursBeforeDeparture) {
+    const tier = (this.#rules.get(seatClass) || []).find(
+      (t) => hoursBeforeDeparture >= t.minHoursBeforeDeparture
+    );
+    const percent = tier ? tier.refundPercent : 0;
+    return { percent, amount: Math.round((pricePaid || 0) * percent) / 100 };
+  }
+}
+
+/**
+ * FareEngine class prices each traveller from the itinerary's class fare, applying the
+ * passenger category for their age (infant, child, youth, adult, senior) and the group discount
+ */
+export class FareEngine {
+  #categories;
+  #groupDiscount;
+  #currency;
+
+  constructor(rules = {}) {
+    this.#categories = Object.entries(rules.categories || {}).map(([name, category]) => ({
+      name,
+      minAge: category.minAge ?? 0,
+      maxAge: category.maxAge ?? Infinity,
+      discountPercent: category.discountPercent ?? 0,
+    }));
+    this.#groupDiscount = rules.groupDiscount || null;
+    this.#currency = rules.currency || "EUR";
+  }
+
+  #round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  categoryFor(age) {
+    return this.#categories.find((c) => age >= c.minAge && age <= c.maxAge)
+      || { name: "adult", discountPercent: 0 };
+  }
+
+  /**
+   * Price travellers ({ age, seatClass }) against an itinerary's { first, second } fares.
+   * The group discount counts only travellers who pay something, and applies after the category discount.
+   */
+  quote(totalPrice, travellers) {
+    const paying = travellers.filter((t) => this.categoryFor(t.age).discountPercent < 100).length;
+    const group = this.#groupDiscount && paying >= this.#groupDiscount.minTravellers ? this.#groupDiscount : null;
+
+    const fares = travellers.map((t) => {
+      const category = this.categoryFor(t.age);
+      const baseFare = Number(totalPrice?.[t.seatClass]) || 0;
+      const discounts = [];
+      let amount = baseFare;
+
+      if (category.discountPercent) {
+        const discount = this.#round((amount * category.discountPercent) / 100);
+        discounts.push({ type: "category", name: category.name, percent: category.discountPercent, amount: discount });
+        amount -= discount;
+      }
+      if (group && amount > 0) {
+        const discount = this.#round((amount * group.discountPercent) / 100);
+        discounts.push({ type: "group", name: "group", percent: group.discountPercent, amount: discount });
+        amount -= discount;
+      }
+
+      return { seatClass: t.seatClass, category: category.name, baseFare, discounts, amount: this.#round(amount) };
+    });
+
+    return {
+      currency: this.#currency,
+      total: this.#round(fares.reduce((sum, fare) => sum + fare.amount, 0)),
+      fares,
+    };
+  }
+}
@@ -0,0 +1,343 @@
+import fs from "fs";
+import path from "path";
+import AdmZip from "adm-zip";
+import * as db from "./database.js";
+import config from "./config.js";
+import { parseCsvText, clockMinutes, arrivalDayShift } from "./timetable.js";
+import { ConflictError } from "./errors.js";
+
+// calendar.txt columns in GTFS order, with the day codes used by routes
+const WEEKDAYS = [
+  ["monday", "MON"], ["tuesday", "TUE"], ["wednesday", "WED"], ["thursday", "THU"],
+  ["friday", "FRI"], ["saturday", "SAT"], ["sunday", "SUN"],
+];
+const REQUIRED_FILES = ["stops.txt", "routes.txt", "trips.txt", "stop_times.txt", "calendar.txt"];
+const RAIL_ROUTE_TYPE = 2;
+// A trip with n stops becomes n(n-1)/2 routes, so longer trips are rejected unless gtfs.maxTripStops allows them
+const DEFAULT_MAX_TRIP_STOPS = 30;
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// GTFS times are H:MM:SS and run past 24:00:00 for trips that cross midnight
+function gtfsMinutes(value) {
+  const match = /^(\d{1,3}):([0-5]\d):([0-5]\d)$/.exec((value || "").trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function gtfsTime(minutes) {
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}:00`;
+}
+
+function clockTime(minutes) {
+  return `${pad(Math.floor((minutes % 1440) / 60))}:${pad(minutes % 60)}`;
+}
+
+function gtfsDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+function toCsv(columns, rows) {
+  const cell = (value) => {
+    const text = (value ?? "").toString();
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(","), ...rows.map((row) => columns.map((column) => cell(row[column])).join(","))]
+    .join("\n") + "\n";
+}
+
+/**
+ * GtfsImporter class turns a GTFS feed into timetable import entries for TimetableImporter
+ */
+export class GtfsImporter {
+  #maxTripStops;
+  #dbConnection;
+
+  constructor(settings = config.gtfs, database = db) {
+    this.#maxTripStops = settings?.maxTripStops ?? DEFAULT_MAX_TRIP_STOPS;
+    this.#dbConnection = database;
+  }
+
+  /**
+   * Read a feed from a directory, a .zip file or a zip Buffer. Every ordered pair of stops on a
+   * trip becomes a route, since a route here is a ride between two cities without changing trains
+   * (consecutive legs alone would make riders change trains at every stop). A trip with more than
+   * maxTripStops stops is rejected rather than expanded.
+   */
+  async readFeed(source) {
+    const files = this.#readFiles(source);
+    const table = (name) => (files[name] ? parseCsvText(files[name]) : []);
+
+    const stops = new Map((await table("stops.txt")).map((stop) => [stop.stop_id, stop]));
+    const routes = new Map((await table("routes.txt")).map((route) => [route.route_id, route]));
+    const trips = new Map((await table("trips.txt")).map((trip) => [trip.trip_id, trip]));
+    const services = new Map((await table("calendar.txt")).map((service) => [
+      service.service_id,
+      WEEKDAYS.filter(([column]) => service[column]?.trim() === "1").map(([, code]) => code),
+    ]));
+    const fares = this.#readFares(await table("fare_attributes.txt"), await table("fare_rules.txt"));
+
+    const stopTimesByTrip = new Map();
+    for (const stopTime of await table("stop_times.txt")) {
+      if (!stopTimesByTrip.has(stopTime.trip_id)) stopTimesByTrip.set(stopTime.trip_id, []);
+      stopTimesByTrip.get(stopTime.trip_id).push(stopTime);
+    }
+
+    // Cities are the parent station's name when a feed models platforms as child stops
+    const cityOf = (stopId) => {
+      let stop = stops.get(stopId);
+      if (stop?.parent_station && stops.has(stop.parent_station)) stop = stops.get(stop.parent_station);
+      return stop?.stop_name?.trim() || "";
+    };
+
+    const entries = [];
+    for (const [tripId, stopTimes] of stopTimesByTrip) {
+      stopTimes.sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+      const trip = trips.get(tripId);
+      const route = routes.get(trip?.route_id);
+      const days = services.get(trip?.service_id) || [];
+      const price = fares.get(trip?.route_id) || {};
+
+      const tripErrors = [];
+      if (!trip) tripErrors.push({ field: "trip", message: `Trip ${tripId} is not listed in trips.txt.` });
+      else if (!route) tripErrors.push({ field: "route", message: `Route ${trip.route_id} is not listed in routes.txt.` });
+      if (trip && !services.has(trip.service_id)) {
+        tripErrors.push({ field: "days", message: `Service ${trip.service_id} has no weekly pattern in calendar.txt.` });
+      }
+
+      // An over-long trip is reported once, as its end-to-end ride
+      const tooLong = stopTimes.length > this.#maxTripStops;
+      if (tooLong) {
+        tripErrors.push({
+          field: "stops",
+          message: `Trip ${tripId} has ${stopTimes.length} stops; trips with more than ${this.#maxTripStops} are not imported (raise gtfs.maxTripStops to allow them).`,
+        });
+      }
+      const pairs = tooLong ? [[0, stopTimes.length - 1]] : [];
+      for (let i = 0; !tooLong && i < stopTimes.length - 1; i++) {
+        for (let j = i + 1; j < stopTimes.length; j++) pairs.push([i, j]);
+      }
+
+      for (const [i, j] of pairs) {
+        const origin = stopTimes[i];
+        const destination = stopTimes[j];
+        const ref = { trip: tripId, stops: `${origin.stop_sequence}-${destination.stop_sequence}` };
+        const departRaw = origin.departure_time || origin.arrival_time;
+        const arriveRaw = destination.arrival_time || destination.departure_time;
+        const depart = gtfsMinutes(departRaw);
+        const arrive = gtfsMinutes(arriveRaw);
+
+        const input = {
+          routeId: stopTimes.length === 2 ? tripId : `${tripId}:${ref.stops}`,
+          from: cityOf(origin.stop_id),
+          arriveCity: cityOf(destination.stop_id),
+          departTime: departRaw || "",
+          arriveTime: arriveRaw || "",
+          trainType: route?.route_short_name || route?.route_long_name || "",
+          days,
+          price: { first: price.first ?? price.any, second: price.second ?? price.any },
+        };
+        const errors = [...tripErrors];
+
+        if (depart !== null && arrive !== null) {
+          // A trip that leaves after midnight of its service day runs on the following weekdays
+          const startDay = Math.floor(depart / 1440);
+          const arriveOffset = Math.floor(arrive / 1440) - startDay;
+          input.departTime = clockTime(depart);
+          input.arriveTime = clockTime(arrive) + (arriveOffset > 0 ? ` (+${arriveOffset}d)` : "");
+          input.days = days.map((code) => {
+            const index = WEEKDAYS.findIndex(([, day]) => day === code);
+            return WEEKDAYS[(index + startDay) % 7][1];
+          });
+          if (arrive < depart) {
+            errors.push({ field: "arriveTime", message: `Trip ${tripId} arrives at stop ${destination.stop_sequence} before it leaves stop ${origin.stop_sequence}.` });
+          }
+        }
+        entries.push({ ref, input, errors });
+      }
+    }
+
+    const stations = [];
+    for (const stop of stops.values()) {
+      const latitude = Number(stop.stop_lat);
+      const longitude = Number(stop.stop_lon);
+      if (stop.stop_lat && stop.stop_lon && Number.isFinite(latitude) && Number.isFinite(longitude)) {
+        stations.push({ city: cityOf(stop.stop_id), latitude, longitude });
+      }
+    }
+
+    return { entries, stations };
+  }
+
+  /**
+   * Register imported cities as stations and store their coordinates
+   */
+  saveStations(stations) {
+    this.#dbConnection.syncStations();
+    const seen = new Set();
+    for (const { city, latitude, longitude } of stations) {
+      if (seen.has(city)) continue;
+      seen.add(city);
+      this.#dbConnection.setStationLocation(city, latitude, longitude);
+    }
+  }
+
+  #readFiles(source) {
+    const files = {};
+    if (Buffer.isBuffer(source) || source.toLowerCase().endsWith(".zip")) {
+      let zip;
+      try {
+        zip = new AdmZip(source);
+      } catch (err) {
+        throw new Error(`Could not read GTFS zip: ${err.message}`);
+      }
+      for (const entry of zip.getEntries()) {
+        // Some feeds zip a folder rather than the files themselves
+        const name = path.posix.basename(entry.entryName);
+        if (!entry.isDirectory && name.endsWith(".txt")) files[name] = entry.getData().toString("utf8");
+      }
+    } else if (fs.existsSync(source) && fs.statSync(source).isDirectory()) {
+      for (const name of fs.readdirSync(source)) {
+        if (name.endsWith(".txt")) files[name] = fs.readFileSync(path.join(source, name), "utf8");
+      }
+    } else {
+      throw new Error(`GTFS feed not found at: ${source}`);
+    }
+
+    const missing = REQUIRED_FILES.filter((name) => !(name in files));
+    if (missing.length) throw new Error(`GTFS feed is missing ${missing.join(", ")}.`);
+    return files;
+  }
+
+  // Fares apply per GTFS route. A ":first" or ":second" fare_id suffix (as written by
+  // GtfsExporter) picks the class; any other fare is used for both classes.
+  #readFares(fareAttributes, fareRules) {
+    const prices = new Map(fareAttributes.map((fare) => [fare.fare_id, Number(fare.price)]));
+    const fares = new Map();
+    for (const rule of fareRules) {
+      if (!rule.route_id || rule.origin_id || rule.destination_id || rule.contains_id) continue;
+      if (!prices.has(rule.fare_id)) continue;
+      const seatClass = /:(first|second)$/.exec(rule.fare_id)?.[1] || "any";
+      if (!fares.has(rule.route_id)) fares.set(rule.route_id, {});
+      fares.get(rule.route_id)[seatClass] = prices.get(rule.fare_id);
+    }
+    return fares;
+  }
+}
+
+/**
+ * GtfsExporter class writes the active network as a GTFS feed, one trip per route
+ */
+export class GtfsExporter {
+  #settings;
+  #dbConnection;
+
+  constructor(settings = config.gtfs, database = db) {
+    this.#settings = settings;
+    this.#dbConnection = database;
+  }
+
+  /**
+   * Build the feed's files as { "stops.txt": csvText, ... }
+   */
+  buildFiles(today = new Date()) {
+    const { agency, currency = "EUR", serviceDays = 365 } = this.#settings;
+    const routes = this.#dbConnection.getAllRoutes();
+    const stations = new Map(this.#dbConnection.getAllStations().map((station) => [station.city, station]));
+    const cities = [...new Set(routes.flatMap((route) => [route.from, route.arriveCity]))].sort();
+    // stop_lat and stop_lon are required by GTFS, so a feed with unplaced stations is not written
+    const unplaced = cities.filter((city) => stations.get(city)?.latitude == null || stations.get(city)?.longitude == null);
+    if (unplaced.length) {
+      throw new ConflictError(
+        `GTFS stops need coordinates, and ${unplaced.length} station(s) have none: ${unplaced.join(", ")}. ` +
+        "Add them to data/station_coordinates.json and restart, or import a GTFS feed that places them."
+      );
+    }
+    const serviceId = (route) => route.days.join("_") || "NONE";
+
+    const services = new Map();
+    for (const route of routes) services.set(serviceId(route), route.days);
+
+    const endDate = new Date(today.getTime() + serviceDays * 86400000);
+    const stopTimes = routes.flatMap((route) => {
+      const depart = clockMinutes(route.departTime);
+      const arrive = clockMinutes(route.arriveTime) + arrivalDayShift(route) * 1440;
+      return [
+        { trip_id: route.routeId, arrival_time: gtfsTime(depart), departure_time: gtfsTime(depart), stop_id: route.from, stop_sequence: 1 },
+        { trip_id: route.routeId, arrival_time: gtfsTime(arrive), departure_time: gtfsTime(arrive), stop_id: route.arriveCity, stop_sequence: 2 },
+      ];
+    });
+    const fares = routes.flatMap((route) => ["first", "second"].map((seatClass) => ({
+      fare_id: `${route.routeId}:${seatClass}`,
+      route_id: route.routeId,
+      price: route.price[seatClass].toFixed(2),
+      currency_type: currency,
+      payment_method: 0,
+      transfers: 0,
+      agency_id: agency.id,
+    })));
+
+    return {
+      "agency.txt": toCsv(
+        ["agency_id", "agency_name", "agency_url", "agency_timezone", "agency_lang"],
+        [{ agency_id: agency.id, agency_name: agency.name, agency_url: agency.url, agency_timezone: agency.timezone, agency_lang: agency.lang }]
+      ),
+      "stops.txt": toCsv(
+        ["stop_id", "stop_name", "stop_lat", "stop_lon"],
+        cities.map((city) => ({
+          stop_id: city,
+          stop_name: city,
+          stop_lat: stations.get(city)?.latitude,
+          stop_lon: stations.get(city)?.longitude,
+        }))
+      ),
+      "routes.txt": toCsv(
+        ["route_id", "agency_id", "route_short_name", "route_long_name", "route_type"],
+        routes.map((route) => ({
+          route_id: route.routeId,
+          agency_id: agency.id,
+          route_short_name: route.trainType,
+          route_long_name: `${route.from} - ${route.arriveCity}`,
+          route_type: RAIL_ROUTE_TYPE,
+        }))
+      ),
+      "trips.txt": toCsv(
+        ["route_id", "service_id", "trip_id"],
+        routes.map((route) => ({ route_id: route.routeId, service_id: serviceId(route), trip_id: route.routeId }))
+      ),
+      "stop_times.txt": toCsv(["trip_id", "arrival_time", "departure_time", "stop_id", "stop_sequence"], stopTimes),
+      "calendar.txt": toCsv(
+        ["service_id", ...WEEKDAYS.map(([column]) => column), "start_date", "end_date"],
+        [...services].map(([id, days]) => ({
+          service_id: id,
+          ...Object.fromEntries(WEEKDAYS.map(([column, code]) => [column, days.includes(code) ? 1 : 0])),
+          start_date: gtfsDate(today),
+          end_date: gtfsDate(endDate),
+        }))
+      ),
+      "fare_attributes.txt": toCsv(["fare_id", "price", "currency_type", "payment_method", "transfers", "agency_id"], fares),
+      "fare_rules.txt": toCsv(["fare_id", "route_id"], fares),
+    };
+  }
+
+  toZip() {
+    const zip = new AdmZip();
+    for (const [name, content] of Object.entries(this.buildFiles())) {
+      zip.addFile(name, Buffer.from(content, "utf8"));
+    }
+    return zip.toBuffer();
+  }
+
+  /**
+   * Write the feed to a .zip file, or as loose files into a directory
+   */
+  writeTo(target) {
+    if (target.toLowerCase().endsWith(".zip")) {
+      fs.writeFileSync(target, this.toZip());
+      return;
+    }
+    fs.mkdirSync(target, { recursive: true });
+    for (const [name, content] of Object.entries(this.buildFiles())) {
+      fs.writeFileSync(path.join(target, name), content);
+    }
+  }
+}
@@ -0,0 +1,47 @@
+import fs from "fs";
+import * as db from "./database.js";
+import { CSVDataProcessor, RouteValidator, TimetableImporter } from "./timetable.js";
+import { GtfsImporter } from "./gtfs.js";
+
+/**
+ * Command-line timetable import: node import-timetable.js <timetable.csv | gtfs.zip | gtfs-dir> [--dry-run] [--keep-missing]
+ * A running server picks up the imported routes after a restart (or use POST /api/admin/import).
+ */
+const args = process.argv.slice(2);
+const options = { dryRun: args.includes("--dry-run"), keepMissing: args.includes("--keep-missing") };
+const filePath = args.find((arg) => !arg.startsWith("--"));
+
+if (!filePath) {
+  console.error("Usage: node import-timetable.js <timetable.csv | gtfs.zip | gtfs-dir> [--dry-run] [--keep-missing]");
+  process.exit(1);
+}
+
+const csvProcessor = new CSVDataProcessor();
+const importer = new TimetableImporter(csvProcessor, new RouteValidator(csvProcessor));
+
+const isGtfs = filePath.toLowerCase().endsWith(".zip")
+  || (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory());
+
+try {
+  db.initDatabase();
+  let report;
+  if (isGtfs) {
+    const gtfsImporter = new GtfsImporter();
+    const { entries, stations } = await gtfsImporter.readFeed(filePath);
+    report = db.runInTransaction(() => {
+      const result = importer.run(entries, options);
+      if (result.applied) gtfsImporter.saveStations(stations);
+      return result;
+    });
+  } else {
+    report = importer.run(await importer.readFile(filePath), options);
+    if (report.applied) db.syncStations();
+  }
+  console.log(JSON.stringify(report, null, 2));
+} catch (err) {
+  console.error(err.message);
+  if (err.details) console.error(JSON.stringify(err.details, null, 2));
+  process.exitCode = 1;
+} finally {
+  db.closeDatabase();
+}
@@ -0,0 +1,151 @@
+import { ValidationError } from "./errors.js";
+
+// Rules from OCL_EXPRESSIONS, by the name each one has there
+export const RULES = {
+  // Reservation invariants
+  belongsToTrip: "A reservation must belong to exactly one trip.",
+  validPassengerId: "A reservation must have a passenger ID.",
+  hasFullName: "A reservation must have both a first and a last name.",
+  validAge: "Passenger age must be a whole number between 0 and 120.",
+  hasOneTicket: "A reservation must have exactly one ticket.",
+  validCreationTime: "A reservation cannot be created in the future.",
+  uniqueIdInTrip: "Every traveller on a trip must have a different ID number.",
+  tripHasReservations: "A trip must have at least one reservation.",
+  // ReservationRepository::createReservation preconditions
+  validTripId: "Trip id must be a positive integer.",
+  validTravellerData: "Traveller needs a first name, last name, ID number and age.",
+  tripExists: "Trip does not exist.",
+  noExistingReservation: "Traveller already has a reservation on this trip.",
+  // ReservationRepository::createReservation postconditions
+  reservationCreated: "Exactly one reservation must have been added.",
+  reservationHasCorrectData: "The stored reservation must match the traveller.",
+  reservationBelongsToTrip: "The stored reservation must belong to the requested trip.",
+  ticketCreatedForReservation: "The new reservation must have exactly one ticket.",
+  timestampSet: "The new reservation must have a creation time that is not in the future.",
+  returnedIdPositive: "The returned reservation id must be positive.",
+  returnedIdUnique: "The returned reservation id must identify exactly one reservation.",
+};
+
+// Database constraints and the rule each one stands for (named CHECKs carry the rule name themselves)
+const UNIQUE_CONSTRAINTS = {
+  "reservations.trip_id, reservations.id_number": "uniqueIdInTrip",
+  "tickets.reservation_id": "hasOneTicket",
+};
+
+const MAX_AGE = 120;
+
+const violation = (rule, field, message = RULES[rule]) => ({ rule, field, message });
+
+const blank = (value) => value == null || value.toString().trim() === "";
+
+// SQLite CURRENT_TIMESTAMP is UTC "YYYY-MM-DD HH:MM:SS"
+const storedTime = (value) => Date.parse(`${String(value).replace(" ", "T")}Z`);
+
+/**
+ * Throw a ValidationError naming every broken rule, if there are any
+ */
+export function assertRules(details, ErrorClass = ValidationError) {
+  if (!details.length) return;
+  const rules = [...new Set(details.map((d) => d.rule))];
+  throw new ErrorClass(`Broken rule${rules.length > 1 ? "s" : ""}: ${rules.join(", ")}.`, details);
+}
+
+/**
+ * Reservation invariants that can be checked on the travellers of a booking before anything is stored
+ */
+export function travellerViolations(travellers) {
+  if (!Array.isArray(travellers) || travellers.length === 0) {
+    return [violation("tripHasReservations", "travellers", "At least one traveller required.")];
+  }
+
+  const details = [];
+  const seen = new Map();
+  travellers.forEach((t, i) => {
+    const field = `travellers[${i}]`;
+    if (blank(t?.firstName)) details.push(violation("hasFullName", `${field}.firstName`, `Traveller ${i + 1} needs a first name.`));
+    if (blank(t?.lastName)) details.push(violation("hasFullName", `${field}.lastName`, `Traveller ${i + 1} needs a last name.`));
+    if (blank(t?.idNumber)) {
+      details.push(violation("validPassengerId", `${field}.idNumber`, `Traveller ${i + 1} needs an ID number.`));
+    } else {
+      const id = t.idNumber.toString().trim();
+      if (seen.has(id)) {
+        details.push(violation("uniqueIdInTrip", `${field}.idNumber`, `Traveller ${i + 1} has the same ID number as traveller ${seen.get(id) + 1}.`));
+      } else {
+        seen.set(id, i);
+      }
+    }
+    const age = Number(t?.age);
+    if (t?.age == null || t.age === "" || !Number.isInteger(age) || age < 0 || age > MAX_AGE) {
+      details.push(violation("validAge", `${field}.age`, `Traveller ${i + 1} needs an age between 0 and ${MAX_AGE}.`));
+    }
+  });
+  return details;
+}
+
+/**
+ * Preconditions of ReservationRepository::createReservation; existingIds are the ID numbers already on the trip
+ */
+export function reservationPreconditions(tripId, traveller, { tripExists, existingIds = [] }) {
+  const details = [];
+  if (!Number.isInteger(Number(tripId)) || Number(tripId) <= 0) details.push(violation("validTripId", "tripId"));
+  const travellerOk = traveller && !blank(traveller.firstName) && !blank(traveller.lastName) &&
+    !blank(traveller.idNumber) && Number.isInteger(traveller.age) && traveller.age >= 0;
+  if (!travellerOk) details.push(violation("validTravellerData", "traveller"));
+  if (!tripExists) details.push(violation("tripExists", "tripId"));
+  if (traveller && existingIds.includes(traveller.idNumber)) {
+    details.push(violation("noExistingReservation", "traveller.idNumber"));
+  }
+  return details;
+}
+
+/**
+ * Postconditions of ReservationRepository::createReservation, checked on the rows read back after the insert
+ */
+export function reservationPostconditions(tripId, traveller, result, { countBefore, countAfter, stored, matches, ticketCount, now = Date.now() }) {
+  const details = [];
+  if (countAfter !== countBefore + 1) details.push(violation("reservationCreated", "reservations"));
+  if (!(Number(result) > 0)) details.push(violation("returnedIdPositive", "result"));
+  if (matches !== 1) details.push(violation("returnedIdUnique", "result"));
+  if (!stored) return details;
+
+  const sameData = stored.first_name === traveller.firstName && stored.last_name === traveller.lastName &&
+    stored.age === traveller.age && stored.id_number === traveller.idNumber;
+  if (!sameData) details.push(violation("reservationHasCorrectData", "reservation"));
+  if (stored.trip_id !== Number(tripId)) details.push(violation("reservationBelongsToTrip", "reservation.tripId"));
+  if (ticketCount !== 1) details.push(violation("ticketCreatedForReservation", "reservation.ticket"));
+  if (!stored.created_at || !(storedTime(stored.created_at) <= now)) details.push(violation("timestampSet", "reservation.createdAt"));
+  return details;
+}
+
+/**
+ * Reservation invariants over every stored reservation of a trip (rows as returned by getReservationsByTrip)
+ */
+export function tripViolations(tripId, reservations, now = Date.now()) {
+  if (!reservations.length) return [violation("tripHasReservations", `trips[${tripId}]`)];
+
+  const details = [];
+  const idCounts = new Map();
+  for (const r of reservations) idCounts.set(r.id_number, (idCounts.get(r.id_number) || 0) + 1);
+  for (const r of reservations) {
+    const field = `reservations[${r.reservation_id}]`;
+    if (r.trip_id != null && r.trip_id !== Number(tripId)) details.push(violation("belongsToTrip", `${field}.tripId`));
+    if (blank(r.id_number)) details.push(violation("validPassengerId", `${field}.idNumber`));
+    if (blank(r.first_name) || blank(r.last_name)) details.push(violation("hasFullName", field));
+    if (!(r.age >= 0)) details.push(violation("validAge", `${field}.age`));
+    if (r.ticket_id == null) details.push(violation("hasOneTicket", `${field}.ticket`));
+    if (r.created_at && !(storedTime(r.created_at) <= now)) details.push(violation("validCreationTime", `${field}.createdAt`));
+    if (idCounts.get(r.id_number) > 1) details.push(violation("uniqueIdInTrip", `${field}.idNumber`));
+  }
+  return details;
+}
+
+/**
+ * Turn a SQLite constraint failure into the ValidationError for the rule it enforces, or return null
+ */
+export function constraintViolation(err) {
+  if (!String(err?.code || "").startsWith("SQLITE_CONSTRAINT")) return null;
+  const [, columns = ""] = err.message.match(/constraint failed: (.*)$/) || [];
+  const rule = RULES[columns] ? columns : UNIQUE_CONSTRAINTS[columns];
+  if (!rule) return null;
+  return new ValidationError(`Broken rule: ${rule}.`, [violation(rule, columns)]);
+}
@@ -0,0 +1,46 @@
+import { ConflictError } from "./errors.js";
+
+// Who moved a booking when no traveller or account did (hold expiry, ticketing, arrival)
+export const SYSTEM_ACTOR = "system";
+
+// States a trip or reservation can be in, and where each one may go next
+const TRANSITIONS = {
+  held: ["confirmed", "cancelled", "expired"],
+  confirmed: ["ticketed", "cancelled"],
+  ticketed: ["travelled", "cancelled"],
+  travelled: [],
+  cancelled: [],
+  expired: [],
+};
+
+export const BOOKING_STATES = Object.keys(TRANSITIONS);
+
+// States in which a booking still takes its seats
+export const LIVE_STATES = ["held", "confirmed", "ticketed"];
+
+/**
+ * BookingLifecycle class is the state machine of trips and their reservations:
+ * held → confirmed → ticketed → travelled, with cancelled and expired as the other ways out
+ */
+export class BookingLifecycle {
+  isLive(state) {
+    return LIVE_STATES.includes(state);
+  }
+
+  canMove(from, to) {
+    return Boolean(TRANSITIONS[from]?.includes(to));
+  }
+
+  /**
+   * Throw a ConflictError unless the move is allowed; label names the thing being moved in the message
+   */
+  assertMove(from, to, label = "Booking") {
+    if (!BOOKING_STATES.includes(to)) {
+      throw new Error(`Unknown booking state "${to}".`);
+    }
+    if (!this.canMove(from, to)) {
+      const allowed = TRANSITIONS[from]?.length ? ` From ${from} it can only become ${TRANSITIONS[from].join(" or ")}.` : "";
+      throw new ConflictError(`${label} is ${from} and cannot become ${to}.${allowed}`);
+    }
+  }
+}
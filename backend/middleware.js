@@ -0,0 +1,161 @@
+import crypto from "crypto";
+import * as db from "./database.js";
+import { ValidationError, sendError } from "./errors.js";
+
+/**
+ * Check the request's bearer token against one of the configured tokens
+ */
+function hasBearerToken(req, expectedTokens) {
+  const [scheme, token = ""] = (req.get("authorization") || "").split(" ");
+  const given = Buffer.from(token);
+  return scheme === "Bearer" && expectedTokens.some((expected) => {
+    const wanted = Buffer.from(expected);
+    return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+  });
+}
+
+/**
+ * Express middleware guarding the admin API with the admin bearer token (ADMIN_TOKEN)
+ */
+export function adminOnly(adminToken) {
+  return function requireAdmin(req, res, next) {
+    if (!adminToken) {
+      return res.status(503).json({ error: "Admin API is disabled. Set ADMIN_TOKEN to enable it." });
+    }
+    if (!hasBearerToken(req, [adminToken])) {
+      return res.status(401).json({ error: "Invalid or missing admin token." });
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware for on-board staff: accepts the conductor token (CONDUCTOR_TOKEN) or the admin token
+ */
+export function staffOnly(conductorToken, adminToken) {
+  const expected = [conductorToken, adminToken].filter(Boolean);
+  return function requireStaff(req, res, next) {
+    if (!expected.length) {
+      return res.status(503).json({ error: "Ticket checks are disabled. Set CONDUCTOR_TOKEN to enable them." });
+    }
+    if (!hasBearerToken(req, expected)) {
+      return res.status(401).json({ error: "Invalid or missing conductor token." });
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware reading a passenger session token. Requests without one go on as guests,
+ * but a token that is sent must be valid; requireUser also turns guests away
+ */
+export function sessionGuards(accountService) {
+  function authenticate(req, res, next) {
+    const [scheme, token] = (req.get("authorization") || "").split(" ");
+    if (scheme !== "Bearer" || !token) return next();
+
+    const user = accountService.authenticate(token);
+    if (!user) {
+      return res.status(401).json({ error: "Session expired or invalid. Sign in again." });
+    }
+    req.user = user;
+    req.sessionToken = token;
+    next();
+  }
+
+  function requireUser(req, res, next) {
+    authenticate(req, res, () => {
+      if (!req.user) return res.status(401).json({ error: "Sign in required." });
+      next();
+    });
+  }
+
+  return { authenticate, requireUser };
+}
+
+/**
+ * Express middleware limiting how often one client can use the guest trip lookup
+ */
+export function guestLimit(guestLimiter) {
+  return function limitGuests(req, res, next) {
+    if (req.user) return next();
+    const retryAfter = guestLimiter.hit(req.ip);
+    if (retryAfter) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ error: "Too many guest lookups. Try again later or sign in." });
+    }
+    next();
+  };
+}
+
+// Idempotency keys are client-chosen, e.g. a UUID: 1 to 255 visible ASCII characters
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * JSON with object keys sorted, so equal requests always hash the same
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Express middleware making a request safe to retry. With an Idempotency-Key header, the first
+ * successful response is stored for bookings.idempotencyKeyHours and replayed when the same
+ * request is sent again with that key; the key sent with a different request (or by another
+ * account) is refused with 422. Failed requests are not stored, so they can be retried as they are.
+ */
+export function idempotency({ idempotencyKeyHours = 24 } = {}, database = db) {
+  return function idempotent(req, res, next) {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined) return next();
+    if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+      return res.status(400).json({ error: "Idempotency-Key must be 1 to 255 visible ASCII characters." });
+    }
+
+    const requestHash = crypto.createHash("sha256")
+      .update(canonicalJson({ method: req.method, path: req.path, userId: req.user?.userId ?? null, body: req.body ?? null }))
+      .digest("hex");
+    const stored = database.getIdempotentResponse(key);
+    if (stored) {
+      if (stored.request_hash !== requestHash) {
+        return sendError(res, new ValidationError("Idempotency-Key was already used for a different request.", [
+          { field: "Idempotency-Key", message: "Send a new key with a new request, or resend the original request unchanged." },
+        ]));
+      }
+      res.set("Idempotent-Replayed", "true");
+      return res.status(stored.status_code).type("application/json").send(stored.response_body);
+    }
+
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode < 300) {
+        database.saveIdempotentResponse({
+          key,
+          requestHash,
+          statusCode: res.statusCode,
+          responseBody: JSON.stringify(body),
+          expiresAt: new Date(Date.now() + idempotencyKeyHours * 3600000).toISOString(),
+        });
+      }
+      return sendJson(body);
+    };
+    next();
+  };
+}
+
+/**
+ * Who is asking for a trip: the signed-in account and any guest details sent with the request
+ */
+export function tripAccess(req, source = req.query) {
+  const field = (name) => (source?.[name] ?? "").toString().trim();
+  return {
+    userId: req.user?.userId,
+    lastName: field("lastName"),
+    idNumber: field("idNumber"),
+    bookingReference: field("bookingReference").toUpperCase(),
+  };
+}
@@ -0,0 +1,40 @@
+import * as db from "./database.js";
+
+/**
+ * Command-line schema migrations:
+ *   node migrate.js status           list migrations and whether each is applied
+ *   node migrate.js up [version]     apply pending migrations, up to version if given
+ *   node migrate.js down [version]   roll back the last migration, or every one above version
+ * The server migrates up on startup, so `up` is only needed to prepare a database ahead of time.
+ */
+const USAGE = "Usage: node migrate.js <status | up [version] | down [version]>";
+const [command = "status", versionArg] = process.argv.slice(2);
+
+const version = versionArg == null ? undefined : Number(versionArg);
+if (!["status", "up", "down"].includes(command) || (version !== undefined && !(Number.isInteger(version) && version >= 0))) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+try {
+  db.initDatabase({ migrate: false });
+  const runner = db.getMigrationRunner();
+  if (command === "up") {
+    console.log(JSON.stringify(runner.migrate(version), null, 2));
+  } else if (command === "down") {
+    console.log(JSON.stringify(runner.rollback(version), null, 2));
+  } else {
+    for (const m of runner.status()) {
+      const state = m.missing ? "missing file" : m.modified ? "modified" : m.applied ? `applied ${m.appliedAt}` : "pending";
+      console.log(`${String(m.version).padStart(3, "0")}_${m.name}  ${state}`);
+    }
+    console.log(`Schema version ${runner.currentVersion} of ${runner.latestVersion}`);
+    const repairs = runner.repairs();
+    if (repairs.length) console.log(`${repairs.length} row(s) were repaired to fit new constraints; see the migration_repairs table.`);
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  db.closeDatabase();
+}
@@ -0,0 +1,211 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Migration files are named <version>_<name>.up.sql and <version>_<name>.down.sql, e.g. 003_route_platforms.up.sql
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Databases created from schema.sql before migrations existed: the newest table each one has tells
+// which version its schema matches (schema.sql as last shipped matches 2, the first release 1)
+const UNVERSIONED_SCHEMAS = [
+  { table: "idempotency_keys", version: 2 },
+  { table: "trips", version: 1 },
+];
+
+// Line endings are normalised so a checkout on Windows does not count as an edited migration
+const checksum = (sql) => crypto.createHash("sha256").update(sql.replace(/\r\n/g, "\n")).digest("hex");
+
+/**
+ * MigrationRunner class applies the numbered SQL migrations in a directory to a database,
+ * recording each one in schema_migrations, and rolls them back with their down files
+ */
+export class MigrationRunner {
+  #db;
+  #migrations;
+
+  constructor(db, directory) {
+    this.#db = db;
+    this.#migrations = MigrationRunner.load(directory);
+  }
+
+  /**
+   * Read the migrations in a directory, in version order; every version needs an up and a down file
+   */
+  static load(directory) {
+    const byVersion = new Map();
+    for (const file of fs.readdirSync(directory).sort()) {
+      const match = file.match(FILE_PATTERN);
+      if (!match) continue;
+      const [, digits, name, direction] = match;
+      const version = Number(digits);
+      const migration = byVersion.get(version) || { version, name };
+      if (migration.name !== name) {
+        throw new Error(`Migration ${version} has two names: ${migration.name} and ${name}.`);
+      }
+      migration[direction] = fs.readFileSync(path.join(directory, file), "utf8");
+      byVersion.set(version, migration);
+    }
+
+    const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+    for (const m of migrations) {
+      if (m.up == null || m.down == null) {
+        throw new Error(`Migration ${m.version}_${m.name} needs both an .up.sql and a .down.sql file.`);
+      }
+      m.checksum = checksum(m.up);
+    }
+    return migrations;
+  }
+
+  get latestVersion() {
+    return this.#migrations.at(-1)?.version ?? 0;
+  }
+
+  // migration_repairs lists rows a migration had to change to fit new constraints, so they can be reported
+  // and a rollback can put the original values back
+  #ensureTable() {
+    this.#db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS migration_repairs (
+        repair_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        version INTEGER NOT NULL,
+        table_name TEXT NOT NULL,
+        row_id INTEGER NOT NULL,
+        column_name TEXT NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        reason TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+  }
+
+  #applied() {
+    this.#ensureTable();
+    return this.#db.prepare("SELECT * FROM schema_migrations ORDER BY version").all();
+  }
+
+  #hasTable(name) {
+    return Boolean(this.#db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name));
+  }
+
+  /**
+   * Record the migrations a database created before versioning already has, so they are not run again
+   */
+  #adoptUnversioned() {
+    if (this.#applied().length) return [];
+    const known = UNVERSIONED_SCHEMAS.find(({ table }) => this.#hasTable(table));
+    if (!known) return [];
+
+    const adopted = this.#migrations.filter((m) => m.version <= known.version);
+    const record = this.#db.prepare("INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)");
+    this.#db.transaction(() => {
+      for (const m of adopted) record.run(m.version, m.name, m.checksum);
+    })();
+    return adopted.map((m) => m.version);
+  }
+
+  /**
+   * Every migration with whether it has been applied, and whether its up file changed since
+   */
+  status() {
+    const applied = new Map(this.#applied().map((row) => [row.version, row]));
+    const rows = this.#migrations.map((m) => {
+      const row = applied.get(m.version);
+      return {
+        version: m.version,
+        name: m.name,
+        applied: Boolean(row),
+        appliedAt: row?.applied_at ?? null,
+        modified: Boolean(row) && row.checksum !== m.checksum,
+      };
+    });
+    // Versions recorded in the database whose files are gone, e.g. after switching to an older checkout
+    for (const row of applied.values()) {
+      if (!this.#migrations.some((m) => m.version === row.version)) {
+        rows.push({ version: row.version, name: row.name, applied: true, appliedAt: row.applied_at, modified: false, missing: true });
+      }
+    }
+    return rows.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Rows changed by the given migrations (default: every applied one) to satisfy their constraints
+   */
+  repairs(versions = null) {
+    this.#ensureTable();
+    const rows = this.#db.prepare("SELECT * FROM migration_repairs ORDER BY repair_id").all();
+    return versions ? rows.filter((row) => versions.includes(row.version)) : rows;
+  }
+
+  get currentVersion() {
+    return this.#applied().at(-1)?.version ?? 0;
+  }
+
+  // Table rebuilds need foreign keys off, which SQLite only allows outside a transaction;
+  // the keys are checked before each migration commits instead
+  #run(migration, direction) {
+    const sql = migration[direction];
+    const foreignKeys = this.#db.pragma("foreign_keys", { simple: true });
+    this.#db.pragma("foreign_keys = OFF");
+    try {
+      this.#db.transaction(() => {
+        this.#db.exec(sql);
+        const broken = this.#db.pragma("foreign_key_check");
+        if (broken.length) {
+          throw new Error(`${broken.length} row(s) would break a foreign key, first in ${broken[0].table}.`);
+        }
+        if (direction === "up") {
+          this.#db.prepare("INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)")
+            .run(migration.version, migration.name, migration.checksum);
+        } else {
+          this.#db.prepare("DELETE FROM schema_migrations WHERE version = ?").run(migration.version);
+          this.#db.prepare("DELETE FROM migration_repairs WHERE version = ?").run(migration.version);
+        }
+      })();
+    } catch (err) {
+      throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed, nothing was changed: ${err.message}`);
+    } finally {
+      this.#db.pragma(`foreign_keys = ${foreignKeys ? "ON" : "OFF"}`);
+    }
+  }
+
+  #assertUnmodified() {
+    const problems = this.status().filter((m) => m.modified || m.missing);
+    if (problems.length) {
+      const names = problems.map((m) => `${m.version}_${m.name} (${m.missing ? "missing" : "modified"})`).join(", ");
+      throw new Error(`Applied migrations differ from the files on disk: ${names}. Add a new migration instead of editing one.`);
+    }
+  }
+
+  /**
+   * Apply every pending migration up to target (default: the latest), oldest first.
+   * Returns the versions applied, including any recorded for a database created before migrations,
+   * and the rows those migrations repaired.
+   */
+  migrate(target = this.latestVersion) {
+    const adopted = this.#adoptUnversioned();
+    this.#assertUnmodified();
+    const done = new Set(this.#applied().map((row) => row.version));
+    const pending = this.#migrations.filter((m) => m.version <= target && !done.has(m.version));
+    for (const migration of pending) this.#run(migration, "up");
+    const applied = pending.map((m) => m.version);
+    return { adopted, applied, version: this.currentVersion, repairs: this.repairs(applied) };
+  }
+
+  /**
+   * Undo applied migrations, newest first, until the database is at target (default: one step back)
+   */
+  rollback(target = null) {
+    this.#assertUnmodified();
+    const applied = this.#applied().map((row) => row.version);
+    const to = target ?? (applied.at(-2) ?? 0);
+    const undone = this.#migrations.filter((m) => m.version > to && applied.includes(m.version)).reverse();
+    for (const migration of undone) this.#run(migration, "down");
+    return { rolledBack: undone.map((m) => m.version), version: this.currentVersion };
+  }
+}
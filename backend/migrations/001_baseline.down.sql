@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS tickets;
+DROP TABLE IF EXISTS reservations;
+DROP TABLE IF EXISTS trip_segments;
+DROP TABLE IF EXISTS trips;
+DROP TABLE IF EXISTS routes;
@@ -1,4 +1,5 @@
--- SOEN342 Project - ThinkVision Database Schema
+-- SOEN342 Project - ThinkVision Database Schema, as first released
+-- Databases created before migrations existed already have these tables, so every statement is IF NOT EXISTS
 
 CREATE TABLE IF NOT EXISTS routes (
     route_id TEXT PRIMARY KEY,
@@ -53,4 +54,4 @@ CREATE TABLE IF NOT EXISTS tickets (
     reservation_id INTEGER NOT NULL UNIQUE,
     issued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (reservation_id) REFERENCES reservations(reservation_id) ON DELETE CASCADE
-);
\ No newline at end of file
+);
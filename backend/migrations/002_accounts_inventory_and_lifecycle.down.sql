@@ -0,0 +1,87 @@
+-- Back to the first release. Accounts, stations, seat counts, fares, journeys and booking history are
+-- dropped; trips, travellers and tickets keep the columns they had then. Cancelled and expired
+-- bookings had no place in that schema, so they are dropped with their travellers and tickets.
+
+DROP TABLE ticket_scans;
+DROP TABLE booking_transitions;
+DROP TABLE trip_journeys;
+DROP TABLE idempotency_keys;
+DROP TABLE sessions;
+DROP TABLE users;
+DROP TABLE seat_inventory;
+DROP TABLE station_aliases;
+DROP TABLE stations;
+
+CREATE TABLE tickets_old (
+    ticket_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    reservation_id INTEGER NOT NULL UNIQUE,
+    issued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (reservation_id) REFERENCES reservations(reservation_id) ON DELETE CASCADE
+);
+
+INSERT INTO tickets_old (ticket_id, reservation_id, issued_at)
+SELECT t.ticket_id, t.reservation_id, COALESCE(t.issued_at, r.created_at)
+FROM tickets t JOIN reservations r ON r.reservation_id = t.reservation_id
+WHERE r.status NOT IN ('cancelled', 'expired');
+
+DROP TABLE tickets;
+ALTER TABLE tickets_old RENAME TO tickets;
+
+CREATE TABLE reservations_old (
+    reservation_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trip_id INTEGER NOT NULL,
+    first_name TEXT NOT NULL,
+    last_name TEXT NOT NULL,
+    age INTEGER DEFAULT 0,
+    id_number TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (trip_id) REFERENCES trips(trip_id) ON DELETE CASCADE
+);
+
+INSERT INTO reservations_old (reservation_id, trip_id, first_name, last_name, age, id_number, created_at)
+SELECT reservation_id, trip_id, first_name, last_name, age, id_number, created_at
+FROM reservations
+WHERE status NOT IN ('cancelled', 'expired');
+
+-- Travellers repaired on the way up get their original values back
+UPDATE reservations_old SET
+    first_name = COALESCE((SELECT old_value FROM migration_repairs m
+        WHERE m.version = 2 AND m.table_name = 'reservations' AND m.column_name = 'first_name' AND m.row_id = reservation_id), first_name),
+    last_name = COALESCE((SELECT old_value FROM migration_repairs m
+        WHERE m.version = 2 AND m.table_name = 'reservations' AND m.column_name = 'last_name' AND m.row_id = reservation_id), last_name),
+    age = COALESCE((SELECT CAST(old_value AS INTEGER) FROM migration_repairs m
+        WHERE m.version = 2 AND m.table_name = 'reservations' AND m.column_name = 'age' AND m.row_id = reservation_id), age),
+    id_number = COALESCE((SELECT old_value FROM migration_repairs m
+        WHERE m.version = 2 AND m.table_name = 'reservations' AND m.column_name = 'id_number' AND m.row_id = reservation_id), id_number);
+
+DROP TABLE reservations;
+ALTER TABLE reservations_old RENAME TO reservations;
+
+CREATE INDEX IF NOT EXISTS idx_reservations_passenger ON reservations(last_name, id_number);
+
+DELETE FROM trip_segments WHERE trip_id IN (SELECT trip_id FROM trips WHERE status IN ('cancelled', 'expired'));
+ALTER TABLE trip_segments DROP COLUMN journey_order;
+ALTER TABLE trip_segments DROP COLUMN travel_date;
+
+CREATE TABLE trips_old (
+    trip_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    connection_summary TEXT,
+    total_duration_minutes INTEGER,
+    first_class_total REAL DEFAULT 0,
+    second_class_total REAL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO trips_old (trip_id, connection_summary, total_duration_minutes, first_class_total, second_class_total, created_at)
+SELECT trip_id, connection_summary, total_duration_minutes, first_class_total, second_class_total, created_at
+FROM trips
+WHERE status NOT IN ('cancelled', 'expired');
+
+DROP TABLE trips;
+ALTER TABLE trips_old RENAME TO trips;
+
+ALTER TABLE routes DROP COLUMN retired_at;
+ALTER TABLE routes DROP COLUMN updated_at;
+ALTER TABLE routes DROP COLUMN status;
+ALTER TABLE routes DROP COLUMN second_class_capacity;
+ALTER TABLE routes DROP COLUMN first_class_capacity;
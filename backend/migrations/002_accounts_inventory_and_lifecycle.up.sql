@@ -0,0 +1,219 @@
+-- Everything added to the schema between the first release and versioned migrations: route capacity
+-- and retirement, stations, seat inventory, accounts, idempotency keys, multi-journey trips, fares and
+-- the booking lifecycle. Trips, reservations and tickets are rebuilt with their new constraints and
+-- keep their rows; bookings made before the lifecycle existed had their tickets issued, so they are ticketed.
+-- Travellers the new constraints would refuse are repaired first and listed in migration_repairs.
+
+ALTER TABLE routes ADD COLUMN first_class_capacity INTEGER NOT NULL DEFAULT 50;
+ALTER TABLE routes ADD COLUMN second_class_capacity INTEGER NOT NULL DEFAULT 250;
+ALTER TABLE routes ADD COLUMN status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired'));
+ALTER TABLE routes ADD COLUMN updated_at DATETIME;
+ALTER TABLE routes ADD COLUMN retired_at DATETIME;
+
+CREATE TABLE stations (
+    city TEXT PRIMARY KEY,
+    min_transfer_minutes INTEGER CHECK (min_transfer_minutes IS NULL OR min_transfer_minutes >= 0),
+    latitude REAL CHECK (latitude IS NULL OR latitude BETWEEN -90 AND 90),
+    longitude REAL CHECK (longitude IS NULL OR longitude BETWEEN -180 AND 180)
+);
+
+CREATE TABLE station_aliases (
+    city TEXT NOT NULL,
+    alias TEXT NOT NULL,
+    language TEXT,
+    PRIMARY KEY (city, alias),
+    FOREIGN KEY (city) REFERENCES stations(city) ON DELETE CASCADE
+);
+
+CREATE TABLE seat_inventory (
+    route_id TEXT NOT NULL,
+    travel_date TEXT NOT NULL,
+    seat_class TEXT NOT NULL CHECK (seat_class IN ('first', 'second')),
+    seats_sold INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (route_id, travel_date, seat_class),
+    FOREIGN KEY (route_id) REFERENCES routes(route_id)
+);
+
+CREATE TABLE users (
+    user_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    name TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- First successful response to a request sent with an Idempotency-Key, replayed when it is retried
+CREATE TABLE idempotency_keys (
+    idempotency_key TEXT PRIMARY KEY,
+    request_hash TEXT NOT NULL,
+    status_code INTEGER NOT NULL,
+    response_body TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL
+);
+
+-- Trips booked before travel dates and booking references existed keep both empty: their travellers
+-- look them up by last name and ID number alone, and refunds and ticket checks treat them as undated
+CREATE TABLE trips_new (
+    trip_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    booking_reference TEXT UNIQUE,
+    trip_type TEXT NOT NULL DEFAULT 'one-way' CHECK (trip_type IN ('one-way', 'round-trip', 'multi-city')),
+    connection_summary TEXT,
+    travel_date TEXT,
+    total_duration_minutes INTEGER,
+    first_class_total REAL DEFAULT 0,
+    second_class_total REAL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'confirmed', 'ticketed', 'travelled', 'cancelled', 'expired')),
+    hold_expires_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    modified_at DATETIME,
+    cancelled_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+INSERT INTO trips_new (trip_id, booking_reference, connection_summary, travel_date, total_duration_minutes, first_class_total, second_class_total, status, created_at)
+SELECT trip_id, NULL, connection_summary, NULL, total_duration_minutes, first_class_total, second_class_total, 'ticketed', created_at
+FROM trips;
+
+DROP TABLE trips;
+ALTER TABLE trips_new RENAME TO trips;
+
+CREATE INDEX idx_trips_user ON trips(user_id);
+CREATE INDEX idx_trips_status ON trips(status, hold_expires_at);
+
+CREATE TABLE trip_journeys (
+    trip_id INTEGER NOT NULL,
+    journey_order INTEGER NOT NULL,
+    connection_summary TEXT,
+    travel_date TEXT,
+    total_duration_minutes INTEGER,
+    first_class_total REAL DEFAULT 0,
+    second_class_total REAL DEFAULT 0,
+    PRIMARY KEY (trip_id, journey_order),
+    FOREIGN KEY (trip_id) REFERENCES trips(trip_id) ON DELETE CASCADE
+);
+
+INSERT INTO trip_journeys (trip_id, journey_order, connection_summary, travel_date, total_duration_minutes, first_class_total, second_class_total)
+SELECT trip_id, 1, connection_summary, travel_date, total_duration_minutes, first_class_total, second_class_total
+FROM trips;
+
+ALTER TABLE trip_segments ADD COLUMN journey_order INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE trip_segments ADD COLUMN travel_date TEXT;
+
+-- Travellers booked before seat classes existed travelled second class
+CREATE TABLE reservations_new (
+    reservation_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trip_id INTEGER NOT NULL,
+    first_name TEXT NOT NULL,
+    last_name TEXT NOT NULL,
+    age INTEGER NOT NULL DEFAULT 0,
+    id_number TEXT NOT NULL,
+    seat_class TEXT NOT NULL DEFAULT 'second' CHECK (seat_class IN ('first', 'second')),
+    fare_category TEXT,
+    amount REAL CHECK (amount IS NULL OR amount >= 0),
+    status TEXT NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'confirmed', 'ticketed', 'travelled', 'cancelled', 'expired')),
+    refund_amount REAL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    cancelled_at DATETIME,
+    FOREIGN KEY (trip_id) REFERENCES trips(trip_id) ON DELETE CASCADE,
+    -- Constraints are named after the OCL invariant they enforce
+    CONSTRAINT hasFullName CHECK (length(trim(first_name)) > 0 AND length(trim(last_name)) > 0),
+    CONSTRAINT validPassengerId CHECK (length(trim(id_number)) > 0),
+    CONSTRAINT validAge CHECK (age >= 0),
+    CONSTRAINT uniqueIdInTrip UNIQUE (trip_id, id_number)
+);
+
+-- The first release accepted blank names and IDs, negative ages and one ID for several travellers on
+-- a trip. Blank names become 'Unknown', a blank ID becomes LEGACY-<reservation_id>, a negative age 0,
+-- and a repeated ID gets -<reservation_id> appended on every traveller but the first booked.
+INSERT INTO migration_repairs (version, table_name, row_id, column_name, old_value, new_value, reason)
+SELECT 2, 'reservations', reservation_id, 'first_name', first_name, 'Unknown', 'blank first name'
+FROM reservations WHERE length(trim(COALESCE(first_name, ''))) = 0;
+UPDATE reservations SET first_name = 'Unknown' WHERE length(trim(COALESCE(first_name, ''))) = 0;
+
+INSERT INTO migration_repairs (version, table_name, row_id, column_name, old_value, new_value, reason)
+SELECT 2, 'reservations', reservation_id, 'last_name', last_name, 'Unknown', 'blank last name'
+FROM reservations WHERE length(trim(COALESCE(last_name, ''))) = 0;
+UPDATE reservations SET last_name = 'Unknown' WHERE length(trim(COALESCE(last_name, ''))) = 0;
+
+INSERT INTO migration_repairs (version, table_name, row_id, column_name, old_value, new_value, reason)
+SELECT 2, 'reservations', reservation_id, 'id_number', id_number, 'LEGACY-' || reservation_id, 'blank ID number'
+FROM reservations WHERE length(trim(COALESCE(id_number, ''))) = 0;
+UPDATE reservations SET id_number = 'LEGACY-' || reservation_id WHERE length(trim(COALESCE(id_number, ''))) = 0;
+
+INSERT INTO migration_repairs (version, table_name, row_id, column_name, old_value, new_value, reason)
+SELECT 2, 'reservations', reservation_id, 'age', age, 0, 'negative age'
+FROM reservations WHERE age < 0;
+UPDATE reservations SET age = 0 WHERE age < 0;
+
+INSERT INTO migration_repairs (version, table_name, row_id, column_name, old_value, new_value, reason)
+SELECT 2, 'reservations', r.reservation_id, 'id_number', r.id_number, r.id_number || '-' || r.reservation_id,
+       'ID number repeated on trip ' || r.trip_id
+FROM reservations r
+WHERE EXISTS (SELECT 1 FROM reservations e WHERE e.trip_id = r.trip_id AND e.id_number = r.id_number AND e.reservation_id < r.reservation_id);
+-- The first traveller with an ID is never renamed, so each row is still compared with the original ID
+UPDATE reservations SET id_number = id_number || '-' || reservation_id
+WHERE EXISTS (
+    SELECT 1 FROM reservations e
+    WHERE e.trip_id = reservations.trip_id AND e.id_number = reservations.id_number AND e.reservation_id < reservations.reservation_id
+);
+
+INSERT INTO reservations_new (reservation_id, trip_id, first_name, last_name, age, id_number, seat_class, status, created_at)
+SELECT reservation_id, trip_id, first_name, last_name, COALESCE(age, 0), id_number, 'second', 'ticketed', created_at
+FROM reservations;
+
+DROP TABLE reservations;
+ALTER TABLE reservations_new RENAME TO reservations;
+
+CREATE INDEX idx_reservations_passenger ON reservations(last_name, id_number);
+
+CREATE TABLE tickets_new (
+    ticket_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    reservation_id INTEGER NOT NULL UNIQUE,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'valid', 'void')),
+    issued_at DATETIME,
+    voided_at DATETIME,
+    FOREIGN KEY (reservation_id) REFERENCES reservations(reservation_id) ON DELETE CASCADE
+);
+
+INSERT INTO tickets_new (ticket_id, reservation_id, status, issued_at)
+SELECT ticket_id, reservation_id, 'valid', issued_at
+FROM tickets;
+
+DROP TABLE tickets;
+ALTER TABLE tickets_new RENAME TO tickets;
+
+-- Every change of state of a trip (reservation_id NULL) or of one of its reservations
+CREATE TABLE booking_transitions (
+    transition_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trip_id INTEGER NOT NULL,
+    reservation_id INTEGER,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    actor TEXT NOT NULL,
+    reason TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (trip_id) REFERENCES trips(trip_id) ON DELETE CASCADE,
+    FOREIGN KEY (reservation_id) REFERENCES reservations(reservation_id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_booking_transitions_trip ON booking_transitions(trip_id, transition_id);
+
+CREATE TABLE ticket_scans (
+    ticket_id INTEGER NOT NULL,
+    segment_order INTEGER NOT NULL,
+    route_id TEXT NOT NULL,
+    travel_date TEXT,
+    scanned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (ticket_id, segment_order),
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id) ON DELETE CASCADE
+);
@@ -0,0 +1,814 @@
+import * as db from "./database.js";
+import { ValidationError } from "./errors.js";
+import { clockMinutes, arrivalDayShift } from "./timetable.js";
+import { addDays, dayCodeOf, shiftDayCode, segmentDayOffsets, assignSegmentDates } from "./dates.js";
+
+/**
+ * TransferPolicy class decides whether a change between two trains is acceptable:
+ * at least the station's minimum transfer time, and no longer than the maximum
+ * layover for the time of day the traveller arrives
+ */
+export class TransferPolicy {
+  #minTransferMinutes;
+  #maxLayoverDay;
+  #maxLayoverNight;
+  #dayStartHour;
+  #dayEndHour;
+  #stationMinimums = new Map();
+
+  constructor(settings = {}) {
+    this.#minTransferMinutes = settings.minTransferMinutes ?? 10;
+    this.#maxLayoverDay = settings.maxLayoverMinutes?.day ?? 120;
+    this.#maxLayoverNight = settings.maxLayoverMinutes?.night ?? 30;
+    this.#dayStartHour = settings.dayHours?.start ?? 6;
+    this.#dayEndHour = settings.dayHours?.end ?? 22;
+  }
+
+  #cleanString(segment) {
+    return (segment ?? "")
+      .toString()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .trim()
+      .toLowerCase();
+  }
+
+  /**
+   * Load per-station minimum transfer times ({ city, minTransferMinutes } rows)
+   */
+  loadStations(stations) {
+    this.#stationMinimums = new Map();
+    for (const { city, minTransferMinutes } of stations) {
+      if (minTransferMinutes != null) this.#stationMinimums.set(this.#cleanString(city), minTransferMinutes);
+    }
+  }
+
+  minTransferAt(city) {
+    return this.#stationMinimums.get(this.#cleanString(city)) ?? this.#minTransferMinutes;
+  }
+
+  maxLayoverAfter(arrivalTime) {
+    const arrivalHour = parseInt(arrivalTime.split(":")[0]);
+    const isDayHours = arrivalHour >= this.#dayStartHour && arrivalHour < this.#dayEndHour;
+    return isDayHours ? this.#maxLayoverDay : this.#maxLayoverNight;
+  }
+
+  allows(city, arrivalTime, layoverMinutes) {
+    return layoverMinutes >= this.minTransferAt(city) && layoverMinutes <= this.maxLayoverAfter(arrivalTime);
+  }
+
+  /**
+   * A view of this policy with single-query overrides: minTransfer replaces every
+   * station minimum and maxLayover replaces both the day and night limits
+   */
+  withOverrides({ minTransfer, maxLayover } = {}) {
+    if (minTransfer == null && maxLayover == null) return this;
+    const policy = new TransferPolicy({
+      minTransferMinutes: minTransfer ?? this.#minTransferMinutes,
+      maxLayoverMinutes: {
+        day: maxLayover ?? this.#maxLayoverDay,
+        night: maxLayover ?? this.#maxLayoverNight,
+      },
+      dayHours: { start: this.#dayStartHour, end: this.#dayEndHour },
+    });
+    if (minTransfer == null) policy.#stationMinimums = this.#stationMinimums;
+    return policy;
+  }
+}
+
+/**
+ * StationDirectory class maps what travellers type (any language, accents or small typos)
+ * onto the canonical station names used in routes
+ */
+export class StationDirectory {
+  #names = [];
+  #cities = [];
+
+  /**
+   * Load stations ({ city }) and their aliases ({ city, alias, language })
+   */
+  load(stations, aliases = []) {
+    this.#cities = stations.map((station) => station.city).sort((a, b) => a.localeCompare(b));
+    this.#names = [
+      ...stations.map(({ city }) => ({ city, name: city, key: this.#fold(city) })),
+      ...aliases.map(({ city, alias }) => ({ city, name: alias, key: this.#fold(alias) })),
+    ];
+  }
+
+  // Lower case without accents or punctuation, so "St. Gallen", "st gallen" and "Zürich"/"zurich" meet
+  #fold(text) {
+    return (text ?? "")
+      .toString()
+      .toLowerCase()
+      .replace(/ß/g, "ss")
+      .replace(/æ/g, "ae")
+      .replace(/ø/g, "o")
+      .replace(/ł/g, "l")
+      .replace(/đ/g, "d")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^\p{L}\p{N}]+/gu, " ")
+      .trim();
+  }
+
+  // Optimal string alignment distance (edits plus adjacent swaps), giving up above max
+  #editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let before = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], before[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) return max + 1;
+      before = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Best match per city, ordered exact name, name prefix, word prefix, then typos by distance
+   */
+  #match(query) {
+    const q = this.#fold(query);
+    if (!q) return [];
+    const maxTypos = q.length < 4 ? 0 : q.length < 7 ? 1 : 2;
+    const best = new Map();
+
+    for (const entry of this.#names) {
+      let match = null;
+      if (entry.key === q) {
+        match = { matchType: "exact", rank: 0, distance: 0 };
+      } else if (entry.key.startsWith(q)) {
+        match = { matchType: "prefix", rank: 1, distance: 0 };
+      } else if (entry.key.split(" ").some((word) => word.startsWith(q))) {
+        match = { matchType: "word", rank: 2, distance: 0 };
+      } else if (maxTypos) {
+        // Compare with the whole name and with its start, for names still being typed
+        const distance = Math.min(
+          this.#editDistance(q, entry.key, maxTypos),
+          this.#editDistance(q, entry.key.slice(0, q.length), maxTypos)
+        );
+        if (distance <= maxTypos) match = { matchType: "typo", rank: 3, distance };
+      }
+      if (!match) continue;
+
+      const current = best.get(entry.city);
+      if (!current || match.rank < current.rank || (match.rank === current.rank && match.distance < current.distance)) {
+        best.set(entry.city, { city: entry.city, matchedName: entry.name, ...match });
+      }
+    }
+
+    return [...best.values()].sort((a, b) =>
+      a.rank - b.rank || a.distance - b.distance || a.city.length - b.city.length || a.city.localeCompare(b.city)
+    );
+  }
+
+  #toCandidate({ city, matchedName, matchType }) {
+    return { city, matchedName, matchType };
+  }
+
+  /**
+   * Ranked stations for an autocomplete box; an empty query lists stations alphabetically
+   */
+  suggest(query, limit = 10) {
+    if (!this.#fold(query)) {
+      return this.#cities.slice(0, limit).map((city) => ({ city, matchedName: city, matchType: null }));
+    }
+    return this.#match(query).slice(0, limit).map((match) => this.#toCandidate(match));
+  }
+
+  /**
+   * Resolve input to one station: { status: "resolved", city }, or "ambiguous" / "unknown"
+   * with the candidates to choose from. A partial name or typo resolves only when a single
+   * station fits it best.
+   */
+  resolve(query, limit = 10) {
+    const matches = this.#match(query);
+    if (!matches.length) return { status: "unknown", candidates: [] };
+
+    const [first] = matches;
+    const tied = matches.filter((m) => m.rank === first.rank && m.distance === first.distance);
+    if (tied.length === 1) return { status: "resolved", city: first.city };
+    return { status: "ambiguous", candidates: tied.slice(0, limit).map((match) => this.#toCandidate(match)) };
+  }
+}
+
+export const DEFAULT_MAX_TRANSFERS = 2;
+export const MAX_TRANSFERS_LIMIT = 6;
+// Journeys in one round or multi-city trip
+export const MAX_JOURNEYS = 6;
+
+/**
+ * LruCache class keeps the most recently used entries up to a fixed size
+ */
+class LruCache {
+  #entries = new Map();
+  #maxSize;
+  #hits = 0;
+  #misses = 0;
+
+  constructor(maxSize = 500) {
+    this.#maxSize = maxSize;
+  }
+
+  get(key) {
+    if (!this.#entries.has(key)) {
+      this.#misses++;
+      return undefined;
+    }
+    // Map keeps insertion order, so re-inserting marks the entry as most recently used
+    const value = this.#entries.get(key);
+    this.#entries.delete(key);
+    this.#entries.set(key, value);
+    this.#hits++;
+    return value;
+  }
+
+  set(key, value) {
+    if (this.#maxSize < 1) return;
+    this.#entries.delete(key);
+    this.#entries.set(key, value);
+    if (this.#entries.size > this.#maxSize) this.#entries.delete(this.#entries.keys().next().value);
+  }
+
+  clear() {
+    this.#entries.clear();
+  }
+
+  stats() {
+    return { size: this.#entries.size, maxSize: this.#maxSize, hits: this.#hits, misses: this.#misses };
+  }
+}
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * RouteSearch class handles route searching and indexing
+ */
+export class RouteSearch {
+  #routes = [];
+  #routesById = new Map();
+  // Station names are cleaned once at load and mapped to numeric ids used by the search loops
+  #stationIds = new Map();
+  // Departure table per station id: { route, from, to, depart, arrive, duration, type } sorted by depart
+  #departures = new Map();
+  #transferPolicy;
+  #stationDirectory;
+  #cache;
+  #dbConnection;
+
+  constructor(transferPolicy = new TransferPolicy(), stationDirectory = new StationDirectory(), cacheSize = 500, database = db) {
+    this.#dbConnection = database;
+    this.#transferPolicy = transferPolicy;
+    this.#stationDirectory = stationDirectory;
+    this.#cache = new LruCache(cacheSize);
+  }
+
+  #cleanString(segment) {
+    return (segment ?? "")
+      .toString()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .trim()
+      .toLowerCase();
+  }
+
+  #nonEmpty(segment) {
+    return segment != null && String(segment).trim() !== "";
+  }
+
+  loadRoutesFromDatabase() {
+    this.#routes = this.#dbConnection.getAllRoutes();
+    this.#routesById = new Map(this.#routes.map((route) => [route.routeId, route]));
+    const stations = this.#dbConnection.getAllStations();
+    this.#transferPolicy.loadStations(stations);
+    this.#stationDirectory.load(stations, this.#dbConnection.getStationAliases());
+    this.#buildIndex();
+    // Cached results were computed from the previous timetable
+    this.#cache.clear();
+    console.log(`Loaded ${this.#routes.length} routes from database into memory`);
+  }
+
+  #buildIndex() {
+    this.#stationIds = new Map();
+    this.#departures = new Map();
+    const idOf = (city) => {
+      const key = this.#cleanString(city);
+      if (!this.#stationIds.has(key)) this.#stationIds.set(key, this.#stationIds.size);
+      return this.#stationIds.get(key);
+    };
+    for (const route of this.#routes) {
+      const entry = {
+        route,
+        from: idOf(route.from),
+        to: idOf(route.arriveCity),
+        depart: this.#timeToMinutes(route.departTime),
+        arrive: this.#timeToMinutes(route.arriveTime),
+        duration: this.#segmentDurationMinutes(route),
+        type: (route.trainType || "").toLowerCase(),
+      };
+      if (!this.#departures.has(entry.from)) this.#departures.set(entry.from, []);
+      this.#departures.get(entry.from).push(entry);
+    }
+    for (const table of this.#departures.values()) table.sort((a, b) => a.depart - b.depart);
+  }
+
+  // Unknown stations get an id no departure table uses
+  #stationId(city) {
+    return this.#stationIds.get(this.#cleanString(city)) ?? -1;
+  }
+
+  // Index of the first departure leaving at or after minute in a sorted departure table
+  #firstDepartureAt(table, minute) {
+    let low = 0;
+    let high = table.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (table[mid].depart < minute) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  /**
+   * Departures from a station leaving between minLayover and maxLayover minutes after
+   * arrival (minutes past midnight), wrapping past midnight like #transferMinutes
+   */
+  #departuresWithin(stationId, arrival, minLayover, maxLayover) {
+    const table = this.#departures.get(stationId) || [];
+    // A layover is always less than a day (see #transferMinutes)
+    maxLayover = Math.min(maxLayover, MINUTES_PER_DAY - 1);
+    if (minLayover > maxLayover) return [];
+    const earliest = (arrival + minLayover) % MINUTES_PER_DAY;
+    const latest = (arrival + maxLayover) % MINUTES_PER_DAY;
+    const slice = (from, to) => table.slice(this.#firstDepartureAt(table, from), this.#firstDepartureAt(table, to + 1));
+    return earliest <= latest
+      ? slice(earliest, latest)
+      : [...slice(earliest, MINUTES_PER_DAY - 1), ...slice(0, latest)];
+  }
+
+  #timeToMinutes(time) {
+    return clockMinutes(time);
+  }
+
+  #segmentDurationMinutes(segment) {
+    const departure = this.#timeToMinutes(segment.departTime);
+    const arrival = this.#timeToMinutes(segment.arriveTime);
+    return arrival + arrivalDayShift(segment) * MINUTES_PER_DAY - departure;
+  }
+
+  #transferMinutes(prev, next) {
+    const arrival = this.#timeToMinutes(prev.arriveTime);
+    const departure = this.#timeToMinutes(next.departTime);
+    const diff = departure - arrival;
+    return diff >= 0 ? diff : diff + MINUTES_PER_DAY;
+  }
+
+  #sumPrice(segments) {
+    return segments.reduce(
+      (total, s) => ({
+        first: total.first + (s.price.first || 0),
+        second: total.second + (s.price.second || 0),
+      }),
+      { first: 0, second: 0 }
+    );
+  }
+
+  #toItinerary(segments, travelDate) {
+    const transfers = [];
+    let duration = 0;
+    for (let i = 0; i < segments.length; i++) {
+      duration += this.#segmentDurationMinutes(segments[i]);
+      if (i < segments.length - 1) {
+        transfers.push(this.#transferMinutes(segments[i], segments[i + 1]));
+      }
+    }
+    duration += transfers.reduce((a, b) => a + b, 0);
+    const offsets = segmentDayOffsets(segments);
+    const itinerary = {
+      id: segments.map((s) => s.routeId).join("+"),
+      totalDurationMinutes: duration,
+      totalPrice: this.#sumPrice(segments),
+      transferTimes: transfers,
+      segments: segments.map((s, i) => ({ ...s, dayOffset: offsets[i].departOffset })),
+    };
+    if (travelDate) {
+      const dates = assignSegmentDates(segments, travelDate);
+      itinerary.travelDate = travelDate;
+      itinerary.segments = itinerary.segments.map((s, i) => ({
+        ...s,
+        ...dates[i],
+      }));
+    }
+    return itinerary;
+  }
+
+  /**
+   * Rebuild an itinerary sent back by a client from the timetable: every route must still be
+   * active and match what the client was shown, connect to the next one and run on its date.
+   * Prices, durations and layovers come from the routes, never from the client.
+   */
+  itineraryFor(segments, travelDate = null) {
+    if (!Array.isArray(segments) || !segments.length) {
+      throw new Error("Missing or invalid connection.");
+    }
+
+    const errors = [];
+    const routes = segments.map((segment, i) => {
+      const route = this.#routesById.get(segment?.routeId);
+      if (!route) {
+        errors.push({ field: `segments[${i}].routeId`, message: `Segment ${i + 1}: route ${segment?.routeId ?? "?"} does not exist or is no longer served.` });
+        return null;
+      }
+      const changed = ["from", "arriveCity", "departTime", "arriveTime"].filter((k) => segment[k] != null && segment[k] !== route[k]);
+      if (changed.length) {
+        errors.push({ field: `segments[${i}]`, message: `Segment ${i + 1}: route ${route.routeId} has changed (${changed.join(", ")}). Search again.` });
+      }
+      return route;
+    });
+    if (errors.length) throw new ValidationError("Invalid connection.", errors);
+
+    for (let i = 1; i < routes.length; i++) {
+      if (this.#stationId(routes[i].from) !== this.#stationId(routes[i - 1].arriveCity)) {
+        errors.push({ field: `segments[${i}].from`, message: `Segment ${i + 1} leaves from ${routes[i].from}, not ${routes[i - 1].arriveCity} where segment ${i} arrives.` });
+      }
+    }
+    if (travelDate) {
+      const day = dayCodeOf(travelDate);
+      segmentDayOffsets(routes).forEach(({ departOffset }, i) => {
+        if (!this.#matchesDay(routes[i], day, departOffset)) {
+          errors.push({ field: `segments[${i}]`, message: `Segment ${i + 1}: route ${routes[i].routeId} does not run on ${addDays(travelDate, departOffset)}.` });
+        }
+      });
+    }
+    if (errors.length) throw new ValidationError("Invalid connection.", errors);
+
+    return this.#toItinerary(routes, travelDate);
+  }
+
+  // Seat availability is read only for the itineraries that are returned
+  #withAvailability(itinerary) {
+    if (!itinerary.travelDate) return itinerary;
+    return {
+      ...itinerary,
+      segments: itinerary.segments.map((s) => ({ ...s, availability: this.#dbConnection.getSeatAvailability(s.routeId, s.departDate) })),
+    };
+  }
+
+  /**
+   * Train types in the timetable, for search filters
+   */
+  trainTypes() {
+    return [...new Set(this.#routes.map((r) => r.trainType).filter(Boolean))].sort();
+  }
+
+  // Filters are built by parseSearchFilters; train type sets hold lower-case names
+  #routeAllowed(entry, filters) {
+    if (filters.trainTypes && !filters.trainTypes.has(entry.type)) return false;
+    return !filters.excludeTrainTypes?.has(entry.type);
+  }
+
+  #acceptsStart(entry, filters) {
+    return this.#routeAllowed(entry, filters) && (filters.departAfter == null || entry.depart >= filters.departAfter);
+  }
+
+  // Price, arrival and duration only grow as a journey is extended, so a journey over a limit can be dropped
+  #withinLimits(journey, filters) {
+    if (filters.maxPrice != null && journey.price[filters.seatClass || "second"] > filters.maxPrice) return false;
+    if (filters.arriveBefore != null && journey.arrival > filters.arriveBefore) return false;
+    return filters.maxDuration == null || journey.arrival - journey.departure <= filters.maxDuration;
+  }
+
+  /**
+   * Whether a train runs on the given weekday, or on the weekday dayOffset days later
+   * for legs boarded after the journey passed midnight
+   */
+  #matchesDay(segment, day, dayOffset = 0) {
+    return !this.#nonEmpty(day) || segment.days.includes(shiftDayCode(day.toUpperCase(), dayOffset));
+  }
+
+  // from and to are canonical station names, resolved through StationDirectory
+  #getStartList(from) {
+    return this.#departures.get(this.#stationId(from)) || [];
+  }
+
+  directSearch(from, to, day, filters = {}) {
+    const toId = this.#stationId(to);
+    return this.#getStartList(from)
+      .filter(
+        (entry) =>
+          entry.to === toId &&
+          this.#matchesDay(entry.route, day) &&
+          this.#acceptsStart(entry, filters) &&
+          this.#withinLimits(this.#extendJourney(null, entry), filters)
+      )
+      .map((entry) => entry.route);
+  }
+
+  /**
+   * Round-based (RAPTOR-style) connection search over the in-memory timetable.
+   * Round k extends every journey of round k - 1 by one more train, so itineraries
+   * with any number of changes up to maxTransfers are reachable. Journeys arriving at
+   * the same station at the same minute are pruned when another one departed no earlier,
+   * with no more transfers and no higher fare. Returns the segment lists of the
+   * Pareto-optimal journeys (later departure, earlier arrival, fewer transfers, lower price).
+   * Trains excluded by the filters are never boarded and journeys past a limit are dropped early.
+   * With filters.via only journeys that change trains there count, and the layover there may be
+   * a stopover of at least filters.viaStopover minutes (plus the usual layover window) instead of
+   * a regular transfer; stations in filters.avoid are never used to change trains.
+   * budget.maxExpansions caps how many trains are tried; when it runs out the search stops
+   * with the journeys found so far and sets budget.exhausted.
+   */
+  connectionSearch(from, to, day, maxTransfers = DEFAULT_MAX_TRANSFERS, policy = this.#transferPolicy, filters = {}, budget = {}) {
+    const toId = this.#stationId(to);
+    const via = filters.via ? this.#stationId(filters.via) : null;
+    const avoid = new Set((filters.avoid || []).map((city) => this.#stationId(city)));
+    // A train into an avoided station is a dead end unless it is the destination
+    const usable = (entry) => entry.to === toId || !avoid.has(entry.to);
+    const bestAtStop = new Map();
+    const journeys = [];
+    const maxExpansions = budget.maxExpansions ?? Infinity;
+    budget.expansions = 0;
+    budget.exhausted = false;
+    const spend = () => {
+      budget.expansions++;
+      if (budget.expansions > maxExpansions) budget.exhausted = true;
+      return !budget.exhausted;
+    };
+
+    let round = [];
+    for (const entry of this.#getStartList(from)) {
+      if (!spend()) break;
+      if (!this.#matchesDay(entry.route, day) || !this.#acceptsStart(entry, filters) || !usable(entry)) continue;
+      const journey = this.#extendJourney(null, entry, 0, via);
+      if (this.#withinLimits(journey, filters) && !this.#isDominatedAtStop(bestAtStop, journey)) round.push(journey);
+    }
+
+    for (let transfers = 0; round.length; transfers++) {
+      const next = [];
+      for (const journey of round) {
+        const station = journey.last.to;
+        if (station === toId) {
+          if (!via || journey.viaReached) journeys.push(journey);
+          continue;
+        }
+        if (transfers >= maxTransfers) continue;
+
+        // Only departures inside the allowed layover window are looked at
+        const { arriveCity, arriveTime } = journey.last.route;
+        const [minLayover, maxLayover] = station === via && filters.viaStopover != null
+          ? [Math.max(filters.viaStopover, policy.minTransferAt(arriveCity)), filters.viaStopover + policy.maxLayoverAfter(arriveTime)]
+          : [policy.minTransferAt(arriveCity), policy.maxLayoverAfter(arriveTime)];
+
+        for (const entry of this.#departuresWithin(station, journey.last.arrive, minLayover, maxLayover)) {
+          if (!spend()) break;
+          if (journey.visited.has(entry.to) || !this.#routeAllowed(entry, filters) || !usable(entry)) continue;
+
+          const layover = (entry.depart - journey.last.arrive + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+          // journey.arrival counts minutes from midnight of the travel day
+          const dayOffset = Math.floor((journey.arrival + layover) / MINUTES_PER_DAY);
+          if (!this.#matchesDay(entry.route, day, dayOffset)) continue;
+
+          const extended = this.#extendJourney(journey, entry, layover, via);
+          if (this.#withinLimits(extended, filters) && !this.#isDominatedAtStop(bestAtStop, extended)) next.push(extended);
+        }
+      }
+      // Journeys still waiting to be extended when the budget runs out are dropped
+      round = budget.exhausted ? [] : next;
+    }
+
+    return this.#paretoFront(journeys).map((j) => j.segments);
+  }
+
+  #extendJourney(journey, entry, layover, via = null) {
+    const { route } = entry;
+    const price = { first: route.price.first || 0, second: route.price.second || 0 };
+    const reachesVia = via !== null && entry.to === via;
+    if (!journey) {
+      return {
+        segments: [route],
+        last: entry,
+        visited: new Set([entry.from, entry.to]),
+        departure: entry.depart,
+        arrival: entry.depart + entry.duration,
+        transfers: 0,
+        price,
+        viaReached: reachesVia,
+      };
+    }
+
+    return {
+      segments: [...journey.segments, route],
+      last: entry,
+      visited: new Set(journey.visited).add(entry.to),
+      departure: journey.departure,
+      arrival: journey.arrival + layover + entry.duration,
+      transfers: journey.transfers + 1,
+      price: { first: journey.price.first + price.first, second: journey.price.second + price.second },
+      viaReached: journey.viaReached || reachesVia,
+    };
+  }
+
+  #dominates(a, b) {
+    return (
+      a.departure >= b.departure &&
+      a.arrival <= b.arrival &&
+      a.transfers <= b.transfers &&
+      a.price.first <= b.price.first &&
+      a.price.second <= b.price.second
+    );
+  }
+
+  #isDominatedAtStop(bestAtStop, journey) {
+    // Journeys that already passed the via station are not compared with ones that still have to
+    const key = `${journey.last.to}|${journey.arrival}|${journey.viaReached ? "via" : ""}`;
+    const labels = bestAtStop.get(key) || [];
+    if (labels.some((label) => this.#dominates(label, journey))) return true;
+    bestAtStop.set(key, [...labels.filter((label) => !this.#dominates(journey, label)), journey]);
+    return false;
+  }
+
+  #paretoFront(journeys) {
+    return journeys.filter((journey, i) =>
+      !journeys.some((other, k) =>
+        k !== i && this.#dominates(other, journey) && (!this.#dominates(journey, other) || k < i)
+      )
+    );
+  }
+
+  /**
+   * Drop itineraries that another one beats on duration, price in the chosen class and transfers, and
+   * tag the rest as fastest / cheapest / fewestChanges, or balanced when they are a trade-off
+   */
+  #labelAlternatives(itins, seatClass = "second") {
+    const transfersOf = (it) => it.segments.length - 1;
+    const priceOf = (it) => it.totalPrice[seatClass];
+    const beats = (a, b) =>
+      a.totalDurationMinutes <= b.totalDurationMinutes &&
+      priceOf(a) <= priceOf(b) &&
+      transfersOf(a) <= transfersOf(b) &&
+      (a.totalDurationMinutes < b.totalDurationMinutes ||
+        priceOf(a) < priceOf(b) ||
+        transfersOf(a) < transfersOf(b));
+
+    const kept = itins.filter((it) => !itins.some((other) => beats(other, it)));
+    const fastest = Math.min(...kept.map((it) => it.totalDurationMinutes));
+    const cheapest = Math.min(...kept.map(priceOf));
+    const fewestChanges = Math.min(...kept.map(transfersOf));
+
+    return kept.map((it) => {
+      const reasons = [];
+      if (it.totalDurationMinutes === fastest) reasons.push("fastest");
+      if (priceOf(it) === cheapest) reasons.push("cheapest");
+      if (transfersOf(it) === fewestChanges) reasons.push("fewestChanges");
+      return { ...it, reasons: reasons.length ? reasons : ["balanced"] };
+    });
+  }
+
+  /**
+   * Search itineraries for a weekday code, or for a calendar date ("YYYY-MM-DD") which
+   * takes precedence over the weekday and dates every segment of the results.
+   * Connections are only searched when there is no direct train, unless options.include
+   * is "all": then every tier is gathered, dominated itineraries are dropped and each
+   * remaining one is labelled with the reasons it is shown. options.filters (see
+   * parseSearchFilters) narrow the trains and itineraries, and its seatClass is the class
+   * that "price" sorting and the cheapest label use. A via station rules out direct trains.
+   * Returns one page of itineraries (options.offset, options.limit) with the total count;
+   * truncated is set when options.maxExpansions stopped the connection search early.
+   * Sorted results are kept in an LRU cache per query until the routes are reloaded; seat
+   * availability is always read fresh.
+   */
+  search(from, to, day, sortBy = "duration", travelDate = "", options = {}) {
+    const { offset = 0, limit = Infinity, ...query } = options;
+    const key = JSON.stringify([from, to, travelDate ? dayCodeOf(travelDate) : day, sortBy, travelDate, query],
+      (_key, value) => (value instanceof Set ? [...value].sort() : value));
+    let result = this.#cache.get(key);
+    if (!result) {
+      result = this.#findItineraries(from, to, day, sortBy, travelDate, query);
+      this.#cache.set(key, result);
+    }
+
+    return {
+      itineraries: result.itineraries.slice(offset, offset + limit).map((it) => this.#withAvailability(it)),
+      total: result.itineraries.length,
+      truncated: result.truncated,
+    };
+  }
+
+  /**
+   * Number of routes loaded from the database into the search index (active routes only)
+   */
+  routeCount() {
+    return this.#routes.length;
+  }
+
+  /**
+   * Search cache size and hit counts
+   */
+  cacheStats() {
+    return this.#cache.stats();
+  }
+
+  #findItineraries(from, to, day, sortBy, travelDate, options) {
+    const {
+      maxTransfers = DEFAULT_MAX_TRANSFERS, include = "", minTransfer, maxLayover, filters = {}, maxExpansions = Infinity,
+    } = options;
+    const budget = { maxExpansions };
+    const policy = this.#transferPolicy.withOverrides({ minTransfer, maxLayover });
+    const seatClass = filters.seatClass || "second";
+    if (travelDate) day = dayCodeOf(travelDate);
+    let itins = filters.via ? [] : this.directSearch(from, to, day, filters).map((r) => this.#toItinerary([r], travelDate));
+    if (include === "all") {
+      const seen = new Set(itins.map((it) => it.id));
+      for (const segments of this.connectionSearch(from, to, day, maxTransfers, policy, filters, budget)) {
+        const itinerary = this.#toItinerary(segments, travelDate);
+        if (!seen.has(itinerary.id)) itins.push(itinerary);
+      }
+      itins = this.#labelAlternatives(itins, seatClass);
+    } else if (!itins.length) {
+      itins.push(...this.connectionSearch(from, to, day, maxTransfers, policy, filters, budget).map(segments => this.#toItinerary(segments, travelDate)));
+    }
+
+    // Ties fall back to the itinerary id so pages stay in the same order between requests
+    const byDuration = (a, b) => a.totalDurationMinutes - b.totalDurationMinutes || a.id.localeCompare(b.id);
+    if (sortBy === "duration") {
+      itins.sort(byDuration);
+    } else if (sortBy === "price") {
+      itins.sort((a, b) => a.totalPrice[seatClass] - b.totalPrice[seatClass] || byDuration(a, b));
+    } else if (sortBy === "transfers") {
+      itins.sort((a, b) => a.segments.length - b.segments.length || byDuration(a, b));
+    } else if (sortBy === "depart") {
+      const dep = (it) => it.segments?.[0]?.departTime || "";
+      itins.sort((a, b) => dep(a).localeCompare(dep(b)) || byDuration(a, b));
+    }
+
+    return { itineraries: itins, truncated: budget.exhausted === true };
+  }
+}
+
+/**
+ * Read the optional search filters from the query string, throwing on values that do not parse:
+ * trainType / excludeTrainType (comma-separated or repeated), class with maxPrice in that class,
+ * departAfter / arriveBefore ("HH:MM" on the travel day), maxDuration in minutes and the
+ * minimum viaStopover in minutes. The via and avoid stations are resolved by the route handler.
+ */
+export function parseSearchFilters(query, knownTrainTypes) {
+  const filters = { seatClass: (query.class || "second").toString() };
+  if (!["first", "second"].includes(filters.seatClass)) {
+    throw new Error("Invalid class. Expected first or second.");
+  }
+
+  const known = new Map(knownTrainTypes.map((type) => [type.toLowerCase(), type]));
+  for (const [param, key] of [["trainType", "trainTypes"], ["excludeTrainType", "excludeTrainTypes"]]) {
+    if (query[param] === undefined || query[param] === "") continue;
+    const types = [].concat(query[param]).flatMap((v) => String(v).split(",")).map((v) => v.trim().toLowerCase()).filter(Boolean);
+    const unknown = types.filter((type) => !known.has(type));
+    if (unknown.length) {
+      throw new Error(`Unknown ${param} ${unknown.join(", ")}. Expected one of: ${knownTrainTypes.join(", ")}.`);
+    }
+    filters[key] = new Set(types);
+  }
+
+  for (const param of ["departAfter", "arriveBefore"]) {
+    if (query[param] === undefined || query[param] === "") continue;
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(String(query[param]))) {
+      throw new Error(`Invalid ${param}. Expected HH:MM.`);
+    }
+    filters[param] = clockMinutes(String(query[param]));
+  }
+
+  if (query.maxPrice !== undefined && query.maxPrice !== "") {
+    const maxPrice = Number(query.maxPrice);
+    if (!Number.isFinite(maxPrice) || maxPrice < 0) {
+      throw new Error("Invalid maxPrice. Expected a non-negative number.");
+    }
+    filters.maxPrice = maxPrice;
+  }
+  if (query.viaStopover !== undefined && query.viaStopover !== "") {
+    const viaStopover = Number(query.viaStopover);
+    if (!query.via) {
+      throw new Error("viaStopover needs a via station.");
+    }
+    if (!Number.isInteger(viaStopover) || viaStopover < 0 || viaStopover >= 24 * 60) {
+      throw new Error("Invalid viaStopover. Expected a whole number of minutes under 24 hours.");
+    }
+    filters.viaStopover = viaStopover;
+  }
+  if (query.maxDuration !== undefined && query.maxDuration !== "") {
+    const maxDuration = Number(query.maxDuration);
+    if (!Number.isInteger(maxDuration) || maxDuration <= 0) {
+      throw new Error("Invalid maxDuration. Expected a positive whole number of minutes.");
+    }
+    filters.maxDuration = maxDuration;
+  }
+  return filters;
+}
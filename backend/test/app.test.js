@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createApp } from "../app.js";
+
+function withTempDir(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "app-test-"));
+  return Promise.resolve(run(dir)).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+test("two apps on different databases run side by side", () => withTempDir(async (dir) => {
+  const options = (name) => ({ dbPath: path.join(dir, `${name}.db`), ticketKeyFile: path.join(dir, "ticket.key"), frontendDir: null });
+  const first = await createApp(options("first"));
+  let second;
+  try {
+    second = await createApp(options("second"));
+    const account = { email: "ann@example.com", password: "correct horse", name: "Ann" };
+    first.services.accountService.register(account);
+    // The same email is still free in the other app's database
+    second.services.accountService.register(account);
+
+    const [route] = first.services.routeAdminService.listRoutes({ status: "active" });
+    first.services.routeAdminService.retireRoute(route.routeId);
+    const active = (app) => app.services.routeAdminService.listRoutes({ status: "active" }).map((r) => r.routeId);
+    assert.ok(!active(first).includes(route.routeId));
+    assert.ok(active(second).includes(route.routeId));
+    assert.equal(first.services.routeSearch.routeCount(), second.services.routeSearch.routeCount() - 1);
+
+    // Closing one app leaves the other usable
+    first.close();
+    assert.ok(active(second).includes(route.routeId));
+  } finally {
+    first.close();
+    second?.close();
+  }
+}));
@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createApp } from "../app.js";
+import { TicketSigner } from "../tickets.js";
+import { localTravelDate } from "../dates.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Second class is refunded in full up to 48 hours before departure and a quarter after that
+const REFUNDS = {
+  second: [
+    { minHoursBeforeDeparture: 48, refundPercent: 100 },
+    { minHoursBeforeDeparture: 0, refundPercent: 25 },
+  ],
+};
+
+// Two daily Ashford → Brockton trains (T001 at 12:00, T002 at 16:00), each with 2 second class seats
+function withBookingApp(run) {
+  return createApp({
+    dbPath: ":memory:",
+    csvPath: path.join(__dirname, "fixtures", "booking_network.csv"),
+    aliasPath: null,
+    coordinatesPath: null,
+    ticketSigner: new TicketSigner("cancellation-test-key-0123456789abcdef"),
+    frontendDir: null,
+    refunds: REFUNDS,
+  }).then(({ services, close }) => Promise.resolve(run(services)).finally(close));
+}
+
+const inDays = (days) => localTravelDate(new Date(Date.now() + days * 86400000));
+const journey = (routeId, travelDate) => ({ segments: [{ routeId }], travelDate });
+const TRAVELLERS = [
+  { firstName: "Ann", lastName: "Lee", age: 30, idNumber: "X1" },
+  { firstName: "Bo", lastName: "Lee", age: 40, idNumber: "X2" },
+];
+
+function book(bookingService, travelDate, routeId = "T001") {
+  const booking = bookingService.createBooking([journey(routeId, travelDate)], TRAVELLERS, "second");
+  return { booking, access: { lastName: "Lee", idNumber: "X1", bookingReference: booking.bookingReference } };
+}
+
+function seatsLeft(routeSearch, travelDate, routeId = "T001") {
+  const { itineraries } = routeSearch.search("Ashford", "Brockton", null, "duration", travelDate);
+  return itineraries.find((it) => it.id === routeId).segments[0].availability.second;
+}
+
+test("cancelling inside the free window refunds every fare in full", () => withBookingApp(({ bookingService }) => {
+  const { booking, access } = book(bookingService, inDays(10));
+  const result = bookingService.cancelTrip(booking.tripId, access);
+
+  assert.equal(result.status, "cancelled");
+  assert.deepEqual(result.refunds.map((r) => r.refundPercent), [100, 100]);
+  assert.deepEqual(result.refunds.map((r) => r.refundAmount), booking.reservations.map((r) => r.amount));
+  assert.equal(result.totalRefund, booking.total);
+}));
+
+test("cancelling after the free window refunds part of each fare", () => withBookingApp(({ bookingService }) => {
+  // Tomorrow at noon is between 12 and 36 hours away
+  const { booking, access } = book(bookingService, inDays(1));
+  const result = bookingService.cancelTrip(booking.tripId, access);
+
+  assert.deepEqual(result.refunds.map((r) => r.refundPercent), [25, 25]);
+  assert.deepEqual(result.refunds.map((r) => r.refundAmount), booking.reservations.map((r) => Math.round(r.amount * 25) / 100));
+}));
+
+test("a trip cannot be cancelled twice", () => withBookingApp(({ bookingService }) => {
+  const { booking, access } = book(bookingService, inDays(10));
+  bookingService.cancelTrip(booking.tripId, access);
+
+  assert.throws(() => bookingService.cancelTrip(booking.tripId, access), { status: 409, message: "Trip is already cancelled." });
+  const [first] = booking.reservations;
+  assert.throws(() => bookingService.cancelReservation(booking.tripId, first.reservationId, access), { status: 409 });
+}));
+
+test("cancelling one traveller leaves the rest of the trip ticketed", () => withBookingApp(({ bookingService }) => {
+  const { booking, access } = book(bookingService, inDays(10));
+  const [first, second] = booking.reservations;
+  const result = bookingService.cancelReservation(booking.tripId, second.reservationId, access);
+
+  assert.equal(result.status, "ticketed");
+  assert.deepEqual(result.refunds.map((r) => r.reservationId), [second.reservationId]);
+  const [trip] = bookingService.getGuestTrips(access).currentTrips;
+  assert.equal(trip.status, "ticketed");
+  assert.deepEqual(trip.reservations.map((r) => [r.reservationId, r.status]), [
+    [first.reservationId, "ticketed"],
+    [second.reservationId, "cancelled"],
+  ]);
+
+  // Cancelling the last traveller cancels the trip
+  assert.equal(bookingService.cancelReservation(booking.tripId, first.reservationId, access).status, "cancelled");
+}));
+
+test("cancelled seats go back to the inventory", () => withBookingApp(({ bookingService, routeSearch }) => {
+  const date = inDays(10);
+  const { booking, access } = book(bookingService, date);
+  assert.equal(seatsLeft(routeSearch, date), 0);
+
+  bookingService.cancelReservation(booking.tripId, booking.reservations[0].reservationId, access);
+  assert.equal(seatsLeft(routeSearch, date), 1);
+  bookingService.cancelTrip(booking.tripId, access);
+  assert.equal(seatsLeft(routeSearch, date), 2);
+}));
+
+test("changing the itinerary moves the seats to the new train", () => withBookingApp(({ bookingService, routeSearch }) => {
+  const date = inDays(10);
+  const { booking, access } = book(bookingService, date);
+  const result = bookingService.changeTrip(booking.tripId, journey("T002", date), access);
+
+  assert.equal(result.travelDate, date);
+  assert.equal(seatsLeft(routeSearch, date, "T001"), 2);
+  assert.equal(seatsLeft(routeSearch, date, "T002"), 0);
+  // The new train is full, so nobody can change onto it again
+  const other = book(bookingService, date, "T001");
+  assert.throws(() => bookingService.changeTrip(other.booking.tripId, journey("T002", date), other.access), { status: 409 });
+}));
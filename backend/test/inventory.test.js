@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createApp } from "../app.js";
+import { TicketSigner } from "../tickets.js";
+import { localTravelDate } from "../dates.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Two daily Ashford → Brockton trains (T001, T002), each with 1 first and 2 second class seats
+function withBookingApp(run) {
+  return createApp({
+    dbPath: ":memory:",
+    csvPath: path.join(__dirname, "fixtures", "booking_network.csv"),
+    aliasPath: null,
+    coordinatesPath: null,
+    ticketSigner: new TicketSigner("inventory-test-key-0123456789abcdef"),
+    frontendDir: null,
+  }).then(({ services, close }) => Promise.resolve(run(services)).finally(close));
+}
+
+const inDays = (days) => localTravelDate(new Date(Date.now() + days * 86400000));
+const journey = (routeId, travelDate) => [{ segments: [{ routeId }], travelDate }];
+const travellers = (...idNumbers) => idNumbers.map((idNumber) => ({ firstName: "Ann", lastName: "Lee", age: 30, idNumber }));
+
+test("a booking past the seats left on a route, date and class is refused and takes nothing", () => withBookingApp(({ bookingService }) => {
+  const date = inDays(5);
+  bookingService.createBooking(journey("T001", date), travellers("X1", "X2"), "second");
+
+  assert.throws(() => bookingService.createBooking(journey("T001", date), travellers("X3"), "second"), {
+    status: 409,
+    message: `Not enough second class seats left on T001 for ${date}.`,
+  });
+  // A booking needing more seats than are left takes none of them
+  assert.throws(() => bookingService.createBooking(journey("T001", date), travellers("X3", "X4"), "first"), { status: 409 });
+
+  // Other classes, dates and routes keep their own seats
+  assert.equal(bookingService.createBooking(journey("T001", date), travellers("X3"), "first").status, "ticketed");
+  assert.equal(bookingService.createBooking(journey("T001", inDays(6)), travellers("X4"), "second").status, "ticketed");
+  assert.equal(bookingService.createBooking(journey("T002", date), travellers("X5"), "second").status, "ticketed");
+}));
+
+test("cancelling a hold gives its seats back", () => withBookingApp(({ bookingService }) => {
+  const date = inDays(5);
+  const held = bookingService.createBooking(journey("T001", date), travellers("X1", "X2"), "second", null, { hold: true });
+  assert.equal(held.status, "held");
+  assert.throws(() => bookingService.createBooking(journey("T001", date), travellers("X3"), "second"), { status: 409 });
+
+  bookingService.cancelTrip(held.tripId, { lastName: "Lee", idNumber: "X1", bookingReference: held.bookingReference });
+  assert.equal(bookingService.createBooking(journey("T001", date), travellers("X3", "X4"), "second").status, "ticketed");
+}));
+
+test("an expired hold gives its seats back and can no longer be confirmed", () => withBookingApp(({ bookingService }) => {
+  const date = inDays(5);
+  const held = bookingService.createBooking(journey("T001", date), travellers("X1", "X2"), "second", null, { hold: true });
+  assert.throws(() => bookingService.createBooking(journey("T001", date), travellers("X3"), "second"), { status: 409 });
+
+  // Holds last 15 minutes by default
+  assert.equal(bookingService.expireHolds(new Date(Date.now() + 16 * 60000)), 1);
+  assert.equal(bookingService.createBooking(journey("T001", date), travellers("X3", "X4"), "second").status, "ticketed");
+  assert.throws(
+    () => bookingService.confirmTrip(held.tripId, { lastName: "Lee", idNumber: "X1", bookingReference: held.bookingReference }),
+    { status: 409 }
+  );
+}));
@@ -0,0 +1,126 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import Database from "better-sqlite3";
+import { MigrationRunner } from "../migrations.js";
+import { createApp } from "../app.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS = path.join(__dirname, "..", "migrations");
+
+/**
+ * A database as the first release left it (schema.sql, no schema_migrations), holding one booking
+ * whose travellers break the constraints added since: blank names and ID, a negative age and an ID
+ * shared by two travellers on the same trip
+ */
+function createBaselineDatabase(file) {
+  const conn = new Database(file);
+  conn.exec(fs.readFileSync(path.join(MIGRATIONS, "001_baseline.up.sql"), "utf8"));
+  conn.exec(`
+    INSERT INTO routes (route_id, departure_city, arrival_city, departure_time, arrival_time, train_type, days_of_operation, first_class_price, second_class_price)
+    VALUES ('R00087', 'Amsterdam', 'Liège', '07:35', '10:35', 'RJX', 'Daily', 120, 80);
+    INSERT INTO trips (trip_id, connection_summary, total_duration_minutes, first_class_total, second_class_total, created_at)
+    VALUES (1, 'Amsterdam → Liège', 180, 120, 80, '2024-03-02 09:15:00');
+    INSERT INTO trip_segments (trip_id, segment_order, route_id) VALUES (1, 0, 'R00087');
+    INSERT INTO reservations (reservation_id, trip_id, first_name, last_name, age, id_number) VALUES
+      (1, 1, 'Ann', 'Lee', 30, 'X1'),
+      (2, 1, 'Bo', 'Lee', 8, 'X1'),
+      (3, 1, '', '  ', -3, '');
+    INSERT INTO tickets (ticket_id, reservation_id) VALUES (1, 1), (2, 2), (3, 3);
+  `);
+  conn.close();
+}
+
+function withTempDir(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-test-"));
+  return Promise.resolve(run(dir)).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+test("upgrading a first-release database repairs invalid travellers and reports them", () => withTempDir((dir) => {
+  const file = path.join(dir, "baseline.db");
+  createBaselineDatabase(file);
+  const conn = new Database(file);
+  try {
+    const runner = new MigrationRunner(conn, MIGRATIONS);
+    const { adopted, version, repairs } = runner.migrate();
+    assert.deepEqual(adopted, [1]);
+    assert.equal(version, runner.latestVersion);
+    assert.deepEqual(
+      repairs.map((r) => [r.row_id, r.column_name, r.old_value, r.new_value]),
+      [
+        [3, "first_name", "", "Unknown"],
+        [3, "last_name", "  ", "Unknown"],
+        [3, "id_number", "", "LEGACY-3"],
+        [3, "age", "-3", "0"],
+        [2, "id_number", "X1", "X1-2"],
+      ]
+    );
+
+    const travellers = conn.prepare("SELECT reservation_id, first_name, last_name, age, id_number, status FROM reservations ORDER BY reservation_id").all();
+    assert.deepEqual(travellers, [
+      { reservation_id: 1, first_name: "Ann", last_name: "Lee", age: 30, id_number: "X1", status: "ticketed" },
+      { reservation_id: 2, first_name: "Bo", last_name: "Lee", age: 8, id_number: "X1-2", status: "ticketed" },
+      { reservation_id: 3, first_name: "Unknown", last_name: "Unknown", age: 0, id_number: "LEGACY-3", status: "ticketed" },
+    ]);
+    // No reference or travel date is made up for the old booking
+    const trip = conn.prepare("SELECT booking_reference, travel_date, status FROM trips WHERE trip_id = 1").get();
+    assert.deepEqual(trip, { booking_reference: null, travel_date: null, status: "ticketed" });
+  } finally {
+    conn.close();
+  }
+}));
+
+test("rolling the upgrade back restores the original traveller details", () => withTempDir((dir) => {
+  const file = path.join(dir, "baseline.db");
+  createBaselineDatabase(file);
+  const conn = new Database(file);
+  try {
+    const runner = new MigrationRunner(conn, MIGRATIONS);
+    runner.migrate();
+    runner.rollback(1);
+    const travellers = conn.prepare("SELECT reservation_id, first_name, last_name, age, id_number FROM reservations ORDER BY reservation_id").all();
+    assert.deepEqual(travellers, [
+      { reservation_id: 1, first_name: "Ann", last_name: "Lee", age: 30, id_number: "X1" },
+      { reservation_id: 2, first_name: "Bo", last_name: "Lee", age: 8, id_number: "X1" },
+      { reservation_id: 3, first_name: "", last_name: "  ", age: -3, id_number: "" },
+    ]);
+    assert.equal(runner.repairs().length, 0);
+  } finally {
+    conn.close();
+  }
+}));
+
+test("an upgraded booking is found without a reference, is not cancelled and its tickets still scan", () => withTempDir(async (dir) => {
+  const file = path.join(dir, "baseline.db");
+  createBaselineDatabase(file);
+  const { services, close } = await createApp({
+    dbPath: file,
+    ticketKeyFile: path.join(dir, "ticket.key"),
+    frontendDir: null,
+  });
+  try {
+    const { bookingService, ticketService } = services;
+    const guest = { lastName: "lee", idNumber: "x1", bookingReference: "" };
+    const { currentTrips, pastTrips } = bookingService.getGuestTrips(guest);
+    const [trip] = [...currentTrips, ...pastTrips];
+    assert.equal(trip.tripId, 1);
+    assert.equal(trip.bookingReference, null);
+    assert.equal(trip.travelDate, null);
+
+    // Trips with a reference still need it
+    assert.throws(() => bookingService.getGuestTrips({ ...guest, bookingReference: "NOPE12" }), { status: 404 });
+    assert.throws(() => bookingService.cancelTrip(1, guest), { status: 409, message: /before travel dates were recorded/ });
+
+    const ticket = ticketService.getTicket(1, guest);
+    assert.equal(ticket.segments[0].departAt, null);
+    const first = ticketService.verify(ticket.code, { segment: 1 });
+    assert.equal(first.undated, true);
+    assert.equal(first.alreadyScanned, false);
+    assert.equal(ticketService.verify(ticket.code, { segment: 1 }).alreadyScanned, true);
+  } finally {
+    close();
+  }
+}));
@@ -0,0 +1,81 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createApp } from "../app.js";
+import { TicketSigner } from "../tickets.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * fixtures/search_network.csv, all daily:
+ *   Alder → Birch → Cedar → Dogwood → Elm   one train per leg, 20 minutes to change each time
+ *   Fir → Gum → Hazel                       changes of 5, 90 and 180 minutes by day; 20 and 45 by night
+ *   Pine → Quince                           direct (slow, cheapest) or via Maple, Nettle or Oak
+ */
+let app;
+before(async () => {
+  app = await createApp({
+    dbPath: ":memory:",
+    csvPath: path.join(__dirname, "fixtures", "search_network.csv"),
+    aliasPath: null,
+    coordinatesPath: null,
+    ticketSigner: new TicketSigner("search-test-key-0123456789abcdef0123"),
+    frontendDir: null,
+    // 10 minutes to change trains; at most 120 minutes by day (06:00 to 22:00) and 30 by night
+    transferPolicy: { minTransferMinutes: 10, maxLayoverMinutes: { day: 120, night: 30 }, dayHours: { start: 6, end: 22 } },
+  });
+});
+after(() => app.close());
+
+const ids = (journeys) => journeys.map((segments) => segments.map((route) => route.routeId).join("+")).sort();
+const connections = (from, to, maxTransfers, policy) =>
+  ids(app.services.routeSearch.connectionSearch(from, to, "MON", maxTransfers, policy));
+
+test("maxTransfers caps the number of changes", () => {
+  assert.deepEqual(connections("Alder", "Elm", 2), []);
+  assert.deepEqual(connections("Alder", "Elm", 3), ["S101+S102+S103+S104"]);
+  assert.deepEqual(connections("Alder", "Dogwood", 1), []);
+  assert.deepEqual(connections("Alder", "Dogwood", 2), ["S101+S102+S103"]);
+
+  const search = (maxTransfers) =>
+    app.services.routeSearch.search("Alder", "Elm", "MON", "duration", "", { include: "all", maxTransfers }).total;
+  assert.equal(search(2), 0);
+  assert.equal(search(3), 1);
+});
+
+test("changes shorter than the minimum transfer or longer than the layover limit are not offered", () => {
+  // By day: 5 minutes is too short and 180 too long; only the 90 minute change remains
+  assert.deepEqual(connections("Fir", "Hazel", 1).filter((id) => id.startsWith("S201")), ["S201+S203"]);
+  // By night the limit is 30 minutes, so only the 20 minute change remains
+  assert.deepEqual(connections("Fir", "Hazel", 1).filter((id) => id.startsWith("S205")), ["S205+S206"]);
+
+  const { transferPolicy } = app.services;
+  assert.deepEqual(
+    connections("Fir", "Hazel", 1, transferPolicy.withOverrides({ minTransfer: 5 })).filter((id) => id.startsWith("S201")),
+    ["S201+S202"]
+  );
+  // Raising the layover limit brings back the cheaper late trains; each is kept because it costs less
+  assert.deepEqual(connections("Fir", "Hazel", 1, transferPolicy.withOverrides({ maxLayover: 200 })), [
+    "S201+S203",
+    "S201+S204",
+    "S205+S206",
+    "S205+S207",
+  ]);
+});
+
+test("Pareto pruning keeps every itinerary no other one beats on all counts", () => {
+  // Via Maple is cheap, via Nettle fast and the direct train has no change and the lowest fare;
+  // via Oak leaves earlier, arrives later and costs more than both Maple and Nettle, so it is dropped
+  assert.deepEqual(connections("Pine", "Quince", 2), ["S301+S302", "S303+S304", "S307"]);
+
+  const { itineraries } = app.services.routeSearch.search("Pine", "Quince", "MON", "duration", "", { include: "all" });
+  assert.deepEqual(
+    itineraries.map((it) => [it.id, it.reasons]),
+    [
+      ["S303+S304", ["fastest"]],
+      ["S301+S302", ["balanced"]],
+      ["S307", ["cheapest", "fewestChanges"]],
+    ]
+  );
+});
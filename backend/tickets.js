@@ -0,0 +1,269 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import QRCode from "qrcode";
+import * as db from "./database.js";
+import config from "./config.js";
+import { ConflictError, NotFoundError, ValidationError } from "./errors.js";
+import { localTravelDate, assignTripDates } from "./dates.js";
+import { canAccessTrip, requireGuestDetails } from "./bookings.js";
+
+// Ticket codes look like TV1.<payload>.<signature>, both parts base64url
+const CODE_PREFIX = "TV1";
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+/**
+ * TicketSigner class signs the payload printed in a ticket's QR code with the server key
+ * and checks codes scanned by conductors
+ */
+export class TicketSigner {
+  #key;
+
+  constructor(key) {
+    if (!key || key.length < 32) {
+      throw new Error("Ticket signing key must be at least 32 bytes.");
+    }
+    this.#key = Buffer.from(key);
+  }
+
+  /**
+   * Use TICKET_SIGNING_KEY, or a key kept in keyFile (created on first use)
+   */
+  static fromEnvironment(keyFile) {
+    if (process.env.TICKET_SIGNING_KEY) return new TicketSigner(process.env.TICKET_SIGNING_KEY);
+    if (!fs.existsSync(keyFile)) {
+      fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+      fs.writeFileSync(keyFile, crypto.randomBytes(32).toString("hex"), { mode: 0o600 });
+    }
+    return new TicketSigner(fs.readFileSync(keyFile, "utf8").trim());
+  }
+
+  #signature(payload) {
+    return crypto.createHmac("sha256", this.#key).update(`${CODE_PREFIX}.${payload}`).digest("base64url");
+  }
+
+  /**
+   * Build the code for a ticket; only ids go in, everything else is looked up when scanned
+   */
+  sign({ ticketId, reservationId, tripId }) {
+    const payload = Buffer.from(JSON.stringify({ tk: ticketId, r: reservationId, tr: tripId })).toString("base64url");
+    return `${CODE_PREFIX}.${payload}.${this.#signature(payload)}`;
+  }
+
+  /**
+   * Return the ids in a code, or null when it is malformed or its signature does not match
+   */
+  verify(code) {
+    const [prefix, payload, signature = ""] = (code ?? "").toString().trim().split(".");
+    if (prefix !== CODE_PREFIX || !payload) return null;
+
+    const given = Buffer.from(signature);
+    const wanted = Buffer.from(this.#signature(payload));
+    if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) return null;
+
+    try {
+      const { tk, r, tr } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+      return { ticketId: tk, reservationId: r, tripId: tr };
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Render a ticket as a standalone printable HTML page with its QR code inline
+ */
+export async function renderTicketHtml(ticket) {
+  const qr = await QRCode.toString(ticket.code, { type: "svg", errorCorrectionLevel: "M", margin: 1 });
+  const { traveller } = ticket;
+  const fare = ticket.amount != null ? `${Number(ticket.amount).toFixed(2)} ${ticket.currency}` : "";
+  // Round and multi-city trips print a heading before each journey's trains
+  const journeyCount = new Set(ticket.segments.map((s) => s.journey)).size;
+  const rows = ticket.segments
+    .map(
+      (s, i) => `${journeyCount > 1 && s.journey !== ticket.segments[i - 1]?.journey ? `
+      <tr><th colspan="4">Journey ${escapeHtml(s.journey)}</th></tr>` : ""}
+      <tr>
+        <td>${i + 1}</td>
+        <td>${escapeHtml(s.routeId)}<br><small>${escapeHtml(s.trainType)}</small></td>
+        <td>${escapeHtml(s.from)}<br><small>${escapeHtml(s.departAt?.replace("T", " ") ?? "date not recorded")}</small></td>
+        <td>${escapeHtml(s.to)}<br><small>${escapeHtml(s.arriveAt?.replace("T", " ") ?? "date not recorded")}</small></td>
+      </tr>`
+    )
+    .join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Ticket ${escapeHtml(ticket.ticketId)} – ${escapeHtml(ticket.connectionSummary)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #111; }
+    .ticket { max-width: 720px; border: 2px solid #111; border-radius: 8px; padding: 1.25rem; }
+    .head { display: flex; justify-content: space-between; gap: 1rem; }
+    .qr { width: 180px; height: 180px; }
+    .void { color: #b00020; font-weight: bold; text-transform: uppercase; }
+    table { width: 100%; border-collapse: collapse; margin-top: 1rem; }
+    th, td { text-align: left; padding: 0.4rem; border-top: 1px solid #ccc; vertical-align: top; }
+    small { color: #555; }
+    code { font-size: 0.7rem; word-break: break-all; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <div class="ticket">
+    <div class="head">
+      <div>
+        <h1>Ticket #${escapeHtml(ticket.ticketId)}</h1>
+        ${ticket.status === "valid" ? "" : `<p class="void">${escapeHtml(ticket.status)}</p>`}
+        <p><strong>${escapeHtml(traveller.firstName)} ${escapeHtml(traveller.lastName)}</strong> (age ${escapeHtml(traveller.age)})</p>
+        <p>Trip #${escapeHtml(ticket.tripId)} · ${escapeHtml(ticket.seatClass)} class${ticket.fareCategory ? ` · ${escapeHtml(ticket.fareCategory)} fare` : ""}${fare ? ` · ${escapeHtml(fare)}` : ""}</p>
+        ${ticket.issuedAt ? `<p>Issued ${escapeHtml(ticket.issuedAt)}</p>` : ""}
+      </div>
+      <div class="qr">${qr}</div>
+    </div>
+    <table>
+      <thead><tr><th>#</th><th>Train</th><th>From</th><th>To</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <p><code>${escapeHtml(ticket.code)}</code></p>
+  </div>
+</body>
+</html>
+`;
+}
+
+/**
+ * TicketService class issues printable tickets with a signed QR code and checks them on board
+ */
+export class TicketService {
+  #dbConnection;
+  #signer;
+  #currency;
+
+  constructor(signer, currency = config.fares?.currency || "EUR", database = db) {
+    this.#dbConnection = database;
+    this.#signer = signer;
+    this.#currency = currency;
+  }
+
+  /**
+   * A trip's segments with the date and time each one departs and arrives; dates are null
+   * for trips booked before travel dates existed
+   */
+  #datedSegments(tripId) {
+    const segments = this.#dbConnection.getTripSegments(tripId);
+    if (!segments.length) return [];
+    const trip = this.#dbConnection.getTripById(tripId);
+    const dates = trip.travel_date == null ? [] : assignTripDates(segments, trip.travel_date);
+    return segments.map((s, i) => ({
+      number: i + 1,
+      journey: s.journeyOrder,
+      routeId: s.routeId,
+      trainType: s.trainType,
+      from: s.from,
+      to: s.arriveCity,
+      departDate: dates[i]?.departDate ?? null,
+      arriveDate: dates[i]?.arriveDate ?? null,
+      departAt: dates[i] ? `${dates[i].departDate}T${s.departTime.slice(0, 5)}` : null,
+      arriveAt: dates[i] ? `${dates[i].arriveDate}T${s.arriveTime.slice(0, 5)}` : null,
+    }));
+  }
+
+  /**
+   * Load a ticket for the account that booked its trip or a guest (see canAccessTrip)
+   */
+  getTicket(ticketId, access) {
+    requireGuestDetails(access);
+
+    const row = this.#dbConnection.getTicket(Number(ticketId));
+    const trip = row && this.#dbConnection.getTripById(row.trip_id);
+    if (!trip || !canAccessTrip(trip, this.#dbConnection.getReservationsByTrip(trip.trip_id), access)) {
+      throw new NotFoundError("Ticket not found.");
+    }
+
+    return {
+      ticketId: row.ticket_id,
+      tripId: row.trip_id,
+      reservationId: row.reservation_id,
+      // pending until the booking is ticketed; a void ticket shows why (cancelled or expired)
+      status: row.ticket_status === "void" ? row.status : row.ticket_status,
+      issuedAt: row.issued_at,
+      connectionSummary: trip.connection_summary,
+      traveller: { firstName: row.first_name, lastName: row.last_name, age: row.age },
+      seatClass: row.seat_class,
+      fareCategory: row.fare_category,
+      amount: row.amount,
+      currency: this.#currency,
+      segments: this.#datedSegments(row.trip_id),
+      code: this.#signer.sign({ ticketId: row.ticket_id, reservationId: row.reservation_id, tripId: row.trip_id }),
+    };
+  }
+
+  async renderTicket(ticketId, access) {
+    return renderTicketHtml(this.getTicket(ticketId, access));
+  }
+
+  /**
+   * Check a scanned code on one segment of its trip (by number as printed, or by route)
+   * and record the scan; a second scan on the same segment is reported, not refused
+   */
+  verify(code, { segment, routeId } = {}, now = new Date()) {
+    const ids = this.#signer.verify(code);
+    if (!ids) {
+      throw new ValidationError("Ticket code is not genuine.");
+    }
+
+    const row = this.#dbConnection.getTicket(Number(ids.ticketId));
+    if (!row || row.reservation_id !== ids.reservationId || row.trip_id !== ids.tripId) {
+      throw new NotFoundError("Ticket not found.");
+    }
+    if (row.trip_status === "cancelled" || row.trip_status === "expired") {
+      throw new ConflictError(`Trip has been ${row.trip_status}.`);
+    }
+    if (row.ticket_status === "pending") {
+      throw new ConflictError("Ticket has not been issued; the booking is not confirmed yet.");
+    }
+    if (row.ticket_status !== "valid") {
+      throw new ConflictError(`Ticket has been ${row.status === "expired" ? "expired" : "cancelled"}.`);
+    }
+
+    if (segment == null && !routeId) {
+      throw new Error("Specify the segment number or routeId being checked.");
+    }
+    const today = localTravelDate(now);
+    const segments = this.#datedSegments(row.trip_id);
+    // A route can appear in more than one journey of a trip; prefer the one travelled today
+    const onRoute = segment == null ? segments.filter((s) => s.routeId === routeId.toString().trim()) : [];
+    const leg = segment != null
+      ? segments.find((s) => s.number === Number(segment))
+      : onRoute.find((s) => today >= s.departDate && today <= s.arriveDate) ?? onRoute[0];
+    if (!leg) {
+      throw new ConflictError(`Ticket is not valid on ${segment != null ? `segment ${segment}` : `route ${routeId}`}.`);
+    }
+
+    // Tickets from before travel dates existed carry no date to check; their first scan per segment is still recorded
+    if (leg.departDate != null && (today < leg.departDate || today > leg.arriveDate)) {
+      throw new ConflictError(`Ticket is valid on route ${leg.routeId} on ${leg.departDate}, not ${today}.`);
+    }
+
+    const firstScan = this.#dbConnection.recordTicketScan(row.ticket_id, leg.number - 1, leg.routeId, leg.departDate);
+    const scan = this.#dbConnection.getTicketScans(row.ticket_id).find((s) => s.segment_order === leg.number - 1);
+
+    return {
+      valid: true,
+      ticketId: row.ticket_id,
+      tripId: row.trip_id,
+      reservationId: row.reservation_id,
+      traveller: { firstName: row.first_name, lastName: row.last_name, age: row.age },
+      seatClass: row.seat_class,
+      fareCategory: row.fare_category,
+      segment: leg,
+      undated: leg.departDate == null,
+      scannedAt: scan.scanned_at,
+      alreadyScanned: !firstScan,
+    };
+  }
+}
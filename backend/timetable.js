@@ -0,0 +1,482 @@
+import fs from "fs";
+import { Readable } from "stream";
+import csv from "csv-parser";
+import * as db from "./database.js";
+import { ValidationError } from "./errors.js";
+
+// Fields that define when and where a route runs; trips booked on a route depend on them
+export const SCHEDULE_FIELDS = ["from", "arriveCity", "departTime", "arriveTime", "days"];
+
+const COMPARED_FIELDS = [
+  ...SCHEDULE_FIELDS, "trainType", "price.first", "price.second", "capacity.first", "capacity.second",
+];
+
+function fieldValue(route, field) {
+  const value = field.split(".").reduce((obj, key) => obj?.[key], route);
+  return Array.isArray(value) ? value.join(",") : value;
+}
+
+export function clockMinutes(time) {
+  const [hours, minutes] = (time || "").split(":").map((p) => parseInt(p, 10));
+  if (!Number.isFinite(hours) || !Number.isFinite(minutes)) return 0;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Number of days a segment arrives after it departs: the "(+1d)" marker some
+ * timetables put on arrival times, otherwise one day when the arrival clock
+ * time is earlier than the departure
+ */
+export function arrivalDayShift(segment) {
+  const marker = /\(\+(\d+)d\)/i.exec(segment.arriveTime || "");
+  if (marker) return Number(marker[1]);
+  return clockMinutes(segment.arriveTime) < clockMinutes(segment.departTime) ? 1 : 0;
+}
+
+/**
+ * Parse CSV text into row objects keyed by header
+ */
+export function parseCsvText(content, separator = ",") {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from([content.replace(/^\uFEFF/, "")])
+      .pipe(csv({ separator }))
+      .on("data", (row) => rows.push(row))
+      .on("end", () => resolve(rows))
+      .on("error", reject);
+  });
+}
+
+/**
+ * List the fields (as "price.first" style paths) that differ between two versions of a route
+ */
+export function changedRouteFields(current, next) {
+  return COMPARED_FIELDS.filter((field) => fieldValue(current, field) !== fieldValue(next, field));
+}
+
+/**
+ * CSVDataProcessor class maps timetable CSV rows, whatever their header spelling, onto routes
+ */
+export class CSVDataProcessor {
+  #dayNameToCode = new Map([
+    ["mon","MON"], ["monday","MON"],
+    ["tue","TUE"], ["tues","TUE"], ["tuesday","TUE"],
+    ["wed","WED"], ["weds","WED"], ["wednesday","WED"],
+    ["thu","THU"], ["thur","THU"], ["thurs","THU"], ["thursday","THU"],
+    ["fri","FRI"], ["friday","FRI"],
+    ["sat","SAT"], ["saturday","SAT"],
+    ["sun","SUN"], ["sunday","SUN"],
+  ]);
+
+  #cleanString(segment) {
+    return (segment ?? "")
+      .toString()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .trim()
+      .toLowerCase();
+  }
+
+  #nonEmpty(segment) {
+    return segment != null && String(segment).trim() !== "";
+  }
+
+  /**
+   * Parse a days-of-operation value ("Daily", "Mon-Fri", "Tue,Thu", ...) into day codes,
+   * also reporting the tokens that could not be understood
+   */
+  parseDays(value) {
+    const unknown = [];
+    const days = this.#expandDays(value, unknown);
+    return { days, unknown };
+  }
+
+  #expandDays(originalRow, unknown = []) {
+    const segment = this.#cleanString(originalRow);
+    if (!this.#nonEmpty(segment)) return [];
+    if (segment.includes("daily") || segment === "all") {
+      return ["MON", "TUE", "WED", "THU", "FRI", "SAT", "SUN"].slice();
+    }
+
+    const parts = segment.split(",").map(p => p.trim()).filter(Boolean);
+    const result = [];
+
+    const addDay = (name) => {
+      const code = this.#dayNameToCode.get(name) || this.#dayNameToCode.get(name.slice(0,3));
+      if (!code) unknown.push(name);
+      if (code && !result.includes(code)) result.push(code);
+    };
+
+    for (const p of parts) {
+      if (p.includes("-")) {
+        const [a, b] = p.split("-").map(x => x.trim());
+        if (!a || !b) {
+          unknown.push(p);
+          continue;
+        }
+
+        const daysArr = ["MON", "TUE", "WED", "THU", "FRI", "SAT", "SUN"];
+        const start = daysArr.indexOf(this.#dayNameToCode.get(a) || this.#dayNameToCode.get(a.slice(0,3)));
+        const end   = daysArr.indexOf(this.#dayNameToCode.get(b) || this.#dayNameToCode.get(b.slice(0,3)));
+
+        if (start === -1 || end === -1) {
+          unknown.push(p);
+          continue;
+        }
+
+        if (start <= end) {
+          for (let i = start; i <= end; i++) {
+            if (!result.includes(daysArr[i])) result.push(daysArr[i]);
+          }
+        } else {
+          for (let i = start; i < start + 7; i++) {
+            const idx = i % 7;
+            result.push(daysArr[idx]);
+            if (idx === end) break;
+          }
+          for (let i = result.length - 1; i >= 0; i--) {
+            if (result.indexOf(result[i]) !== i) result.splice(i,1);
+          }
+        }
+      } else {
+        addDay(p);
+      }
+    }
+    return result;
+  }
+
+  detectSeparator(filePath) {
+    try {
+      return this.detectSeparatorInText(fs.readFileSync(filePath, "utf8"));
+    } catch {
+      return ",";
+    }
+  }
+
+  detectSeparatorInText(content) {
+    const firstLine = (content.split(/\r?\n/).find(l => l.trim().length) || "").slice(0, 200);
+    const counts = {
+      ",": (firstLine.match(/,/g) || []).length,
+      ";": (firstLine.match(/;/g) || []).length,
+      "\t": (firstLine.match(/\t/g) || []).length,
+    };
+    return Object.entries(counts).sort((a,b)=>b[1]-a[1])[0][0] || ",";
+  }
+
+  #normalizeHeaders(row) {
+    const cleaned = {};
+    for (const [key,value] of Object.entries(row)) cleaned[this.#cleanString(key)] = value;
+
+    const result = { ...cleaned };
+
+    result["route_id"]         = result["route id"] ?? result["route_id"] ?? result["id"];
+    result["depart_city"]      = result["departure city"] ?? result["depart_city"] ?? result["from"];
+    result["arrive_city"]      = result["arrival city"] ?? result["arrive_city"] ?? result["to"];
+    result["depart_time"]      = result["departure time"] ?? result["depart_time"] ?? result["departure"];
+    result["arrive_time"]      = result["arrival time"] ?? result["arrive_time"] ?? result["arrival"];
+    result["train_type"]       = result["train type"] ?? result["train_type"] ?? result["type"];
+    result["days"]             = result["days of operation"] ?? result["days"] ?? result["valid_days"];
+    result["first_class_eur"]  = result["first class ticket rate (in euro)"] ?? result["first_class_eur"] ?? result["first"];
+    result["second_class_eur"] = result["second class ticket rate (in euro)"] ?? result["second_class_eur"] ?? result["second"];
+    result["first_class_seats"]  = result["first class seats"] ?? result["first_class_seats"];
+    result["second_class_seats"] = result["second class seats"] ?? result["second_class_seats"];
+
+    return result;
+  }
+
+  /**
+   * Map a CSV row onto route fields without judging them; RouteValidator decides what is usable
+   */
+  mapRow(originalRow) {
+    const normalizedRow = this.#normalizeHeaders(originalRow);
+    const text = (value) => value?.toString().trim() ?? "";
+    const number = (value) => (this.#nonEmpty(value) ? Number(value) : undefined);
+
+    return {
+      routeId: text(normalizedRow["route_id"]),
+      from: text(normalizedRow["depart_city"]),
+      arriveCity: text(normalizedRow["arrive_city"]),
+      departTime: text(normalizedRow["depart_time"]),
+      arriveTime: text(normalizedRow["arrive_time"]),
+      trainType: text(normalizedRow["train_type"]),
+      days: text(normalizedRow["days"]),
+      price: {
+        first: number(normalizedRow["first_class_eur"]),
+        second: number(normalizedRow["second_class_eur"]),
+      },
+      capacity: {
+        first: number(normalizedRow["first_class_seats"]),
+        second: number(normalizedRow["second_class_seats"]),
+      },
+    };
+  }
+}
+
+/**
+ * RouteValidator class checks route data before it is written to the timetable
+ */
+export class RouteValidator {
+  #csvProcessor;
+
+  constructor(csvProcessor) {
+    this.#csvProcessor = csvProcessor;
+  }
+
+  #isClockTime(value, allowDayMarker) {
+    const match = /^([01]\d|2[0-3]):[0-5]\d(\s*\(\+\d+d\))?$/i.exec(value);
+    return !!match && (allowDayMarker || !match[2]);
+  }
+
+  /**
+   * Normalize a route and list every problem with it as { field, message }
+   */
+  validate(input = {}) {
+    const text = (value) => (value ?? "").toString().trim();
+    const errors = [];
+    const route = {
+      routeId: text(input.routeId),
+      from: text(input.from),
+      arriveCity: text(input.arriveCity),
+      departTime: text(input.departTime),
+      arriveTime: text(input.arriveTime),
+      trainType: text(input.trainType),
+      days: [],
+      price: { first: Number(input.price?.first), second: Number(input.price?.second) },
+      capacity: { first: input.capacity?.first, second: input.capacity?.second },
+    };
+
+    if (!route.routeId) errors.push({ field: "routeId", message: "Route ID is required." });
+    if (!route.from) errors.push({ field: "from", message: "Departure city is required." });
+    if (!route.arriveCity) errors.push({ field: "arriveCity", message: "Arrival city is required." });
+    if (route.from && route.from.toLowerCase() === route.arriveCity.toLowerCase()) {
+      errors.push({ field: "arriveCity", message: "Arrival city must differ from the departure city." });
+    }
+    if (!this.#isClockTime(route.departTime, false)) {
+      errors.push({ field: "departTime", message: `Invalid departure time "${route.departTime}". Expected HH:MM.` });
+    }
+    if (!this.#isClockTime(route.arriveTime, true)) {
+      errors.push({ field: "arriveTime", message: `Invalid arrival time "${route.arriveTime}". Expected HH:MM or HH:MM (+1d).` });
+    }
+
+    const { days, unknown } = this.#csvProcessor.parseDays(
+      Array.isArray(input.days) ? input.days.join(",") : input.days
+    );
+    route.days = days;
+    if (unknown.length) {
+      errors.push({ field: "days", message: `Unknown day(s): ${unknown.join(", ")}.` });
+    } else if (!days.length) {
+      errors.push({ field: "days", message: "At least one day of operation is required." });
+    }
+
+    for (const seatClass of ["first", "second"]) {
+      if (!Number.isFinite(route.price[seatClass]) || route.price[seatClass] < 0) {
+        errors.push({ field: `price.${seatClass}`, message: `The ${seatClass} class price must be a number of at least 0.` });
+      }
+      const capacity = route.capacity[seatClass];
+      if (capacity !== undefined && capacity !== null && (!Number.isInteger(capacity) || capacity < 0)) {
+        errors.push({ field: `capacity.${seatClass}`, message: `The ${seatClass} class capacity must be a whole number of at least 0.` });
+      }
+    }
+
+    return { route, errors };
+  }
+}
+
+/**
+ * TimetableImporter class upserts a timetable by route ID and reports what would change.
+ * It works on entries of { ref, input, errors }: ref says where the route came from (e.g. { row: 12 }),
+ * input holds the route fields before validation and errors lists problems found by the reader.
+ */
+export class TimetableImporter {
+  #csvProcessor;
+  #validator;
+  #dbConnection;
+
+  constructor(csvProcessor, validator, database = db) {
+    this.#csvProcessor = csvProcessor;
+    this.#validator = validator;
+    this.#dbConnection = database;
+  }
+
+  async readFile(filePath) {
+    if (!fs.existsSync(filePath)) throw new Error(`CSV not found at: ${filePath}`);
+    return this.readText(fs.readFileSync(filePath, "utf8"));
+  }
+
+  /**
+   * Read flat timetable CSV text into import entries
+   */
+  async readText(content) {
+    const rows = await parseCsvText(content, this.#csvProcessor.detectSeparatorInText(content));
+    // Row 1 is the header
+    return rows.map((row, index) => ({ ref: { row: index + 2 }, input: this.#csvProcessor.mapRow(row) }));
+  }
+
+  /**
+   * Compare entries with the stored timetable. Every entry is either accepted as added, changed or
+   * unchanged, or rejected with the reasons. Active routes missing from the import are removed
+   * unless keepMissing is set (for partial feeds such as a partner's GTFS).
+   */
+  plan(entries, { keepMissing = false } = {}) {
+    const existing = new Map(this.#dbConnection.listRoutes({}).map((route) => [route.routeId, route]));
+    const seenAt = new Map();
+    const plan = { added: [], changed: [], removed: [], unchanged: 0, rejected: [] };
+
+    for (const { ref, input, errors: sourceErrors = [] } of entries) {
+      const { route, errors } = this.#validator.validate(input);
+      errors.unshift(...sourceErrors);
+      const where = Object.entries(ref).map(([key, value]) => `${key} ${value}`).join(", ");
+
+      if (route.routeId && seenAt.has(route.routeId)) {
+        errors.push({ field: "routeId", message: `Duplicate route ID ${route.routeId} (first seen at ${seenAt.get(route.routeId)}).` });
+      } else if (route.routeId) {
+        seenAt.set(route.routeId, where);
+      }
+
+      const current = existing.get(route.routeId);
+      let fields = [];
+      if (current && !errors.length) {
+        // Seat counts are optional in the CSV; keep the stored ones when a row leaves them out
+        route.capacity = {
+          first: route.capacity.first ?? current.capacity.first,
+          second: route.capacity.second ?? current.capacity.second,
+        };
+        fields = changedRouteFields(current, route);
+        if (current.status === "retired") fields.push("status");
+        if (fields.some((field) => SCHEDULE_FIELDS.includes(field)) && this.#dbConnection.isRouteReferenced(route.routeId)) {
+          errors.push({ field: "routeId", message: `Route ${route.routeId} is used by booked trips, so its timetable cannot change.` });
+        }
+      }
+
+      if (errors.length) {
+        plan.rejected.push({ ...ref, routeId: route.routeId || null, errors });
+      } else if (!current) {
+        plan.added.push(route);
+      } else if (fields.length) {
+        plan.changed.push({ route, previous: current, fields });
+      } else {
+        plan.unchanged++;
+      }
+    }
+
+    for (const route of existing.values()) {
+      if (!keepMissing && route.status === "active" && !seenAt.has(route.routeId)) plan.removed.push(route);
+    }
+    return plan;
+  }
+
+  /**
+   * Write a plan in one transaction. Removed routes are retired so booked trips keep their data.
+   */
+  apply(plan) {
+    this.#dbConnection.runInTransaction(() => {
+      if (plan.added.length) this.#dbConnection.insertRoutesBatch(plan.added);
+      for (const { route, fields } of plan.changed) {
+        this.#dbConnection.updateRoute(route);
+        if (fields.includes("status")) this.#dbConnection.reactivateRoute(route.routeId);
+      }
+      for (const route of plan.removed) this.#dbConnection.retireRoute(route.routeId);
+    });
+  }
+
+  /**
+   * Plan an import and apply it unless this is a dry run. Nothing is written when a row is rejected.
+   */
+  run(entries, { dryRun = false, keepMissing = false } = {}) {
+    const plan = this.plan(entries, { keepMissing });
+    const report = this.report(plan, dryRun);
+    if (dryRun) return report;
+    if (plan.rejected.length) {
+      throw new ValidationError(`${plan.rejected.length} row(s) were rejected; nothing was imported.`, plan.rejected);
+    }
+    this.apply(plan);
+    return { ...report, applied: true };
+  }
+
+  report(plan, dryRun) {
+    return {
+      dryRun,
+      applied: false,
+      summary: {
+        added: plan.added.length,
+        changed: plan.changed.length,
+        removed: plan.removed.length,
+        unchanged: plan.unchanged,
+        rejected: plan.rejected.length,
+      },
+      added: plan.added.map((route) => route.routeId),
+      changed: plan.changed.map(({ route, previous, fields }) => ({
+        routeId: route.routeId,
+        changes: Object.fromEntries(fields.map((field) => [
+          field,
+          field === "status"
+            ? { from: previous.status, to: "active" }
+            : { from: fieldValue(previous, field), to: fieldValue(route, field) },
+        ])),
+      })),
+      removed: plan.removed.map((route) => route.routeId),
+      rejected: plan.rejected,
+    };
+  }
+}
+
+/**
+ * DataLoader class handles CSV loading and initialization
+ */
+export class DataLoader {
+  #dbConnection;
+  #importer;
+  #routeSearch;
+  #stationMinTransfer;
+
+  constructor(importer, routeSearch, stationMinTransfer = {}, database = db) {
+    this.#dbConnection = database;
+    this.#importer = importer;
+    this.#routeSearch = routeSearch;
+    this.#stationMinTransfer = stationMinTransfer;
+  }
+
+  /**
+   * Fill an open database that has no routes from the CSV timetable, then load the search index
+   */
+  async initialize(filePath, aliasFilePath, coordinatesFilePath) {
+    const entries = await this.#importer.readFile(filePath);
+    console.log(`CSV read OK from ${filePath} (${entries.length} rows)`);
+
+    // Check if routes already exist in database
+    const existingCount = this.#dbConnection.countRoutes();
+    if (existingCount === 0) {
+      console.log("Database is empty. Inserting routes...");
+      const plan = this.#importer.plan(entries);
+      this.#importer.apply(plan);
+      console.log(`Inserted ${plan.added.length} routes into database`);
+      for (const { row, errors } of plan.rejected) {
+        console.warn(`Skipped CSV row ${row}: ${errors.map((e) => e.message).join(" ")}`);
+      }
+    } else {
+      console.log(`Database already contains ${existingCount} routes. Skipping insert.`);
+    }
+
+    // Register every served city as a station; config is the source of truth for transfer minimums
+    this.#dbConnection.syncStations();
+    this.#dbConnection.setStationMinTransfers(this.#stationMinTransfer);
+
+    // Alternative station names ({ "Munich": { "de": ["München"] } }); existing rows are kept
+    if (aliasFilePath && fs.existsSync(aliasFilePath)) {
+      const aliases = JSON.parse(fs.readFileSync(aliasFilePath, "utf8"));
+      for (const [city, aliasesByLanguage] of Object.entries(aliases)) this.#dbConnection.addStationAliases(city, aliasesByLanguage);
+    }
+
+    // Station coordinates for GTFS stops ({ "Munich": { "latitude": 48.14, "longitude": 11.558 } });
+    // coordinates already stored, e.g. by a GTFS import, are kept
+    if (coordinatesFilePath && fs.existsSync(coordinatesFilePath)) {
+      const coordinates = JSON.parse(fs.readFileSync(coordinatesFilePath, "utf8"));
+      for (const [city, { latitude, longitude }] of Object.entries(coordinates)) {
+        this.#dbConnection.fillStationLocation(city, latitude, longitude);
+      }
+    }
+
+    // Load routes from database into memory for searching
+    this.#routeSearch.loadRoutesFromDatabase();
+  }
+}